@@ -29,6 +29,11 @@ AFRAME.registerComponent('cameratransform', {
 
         const projection = this.el.components.camera.camera.projectionMatrix.clone();
 
+        // For the foot tracker's ground projection (js/pose/ground.js)
+        window.dispatchEvent(new CustomEvent("arcameraupdate", {
+            detail: { matrixWorld: this.el.object3D.matrixWorld.toArray(), projection: projection.toArray() }
+        }));
+
         const posCam = camtr.toArray();
         const rotCam = camro.toArray();
         const projCam = projection.elements;
@@ -41,6 +46,7 @@ AFRAME.registerComponent('cameratransform', {
             const w = window.innerWidth;
             const h = window.innerHeight;
             unityInstance.SendMessage("Canvas", "setSize", `${w},${h}`);
+            window.dispatchEvent(new CustomEvent("unitycanvassize", { detail: { width: w, height: h } }));
         }
 
         if (gl != null) {
@@ -62,6 +68,10 @@ AFRAME.registerComponent('markercontroller', {
 
         const serializedInfos = `${this.data.name},${this.el.object3D.visible},${position.toArray()},${rotation.toArray()},${scale.toArray()}`;
 
+        window.dispatchEvent(new CustomEvent("armarkerupdate", {
+            detail: { name: this.data.name, visible: this.el.object3D.visible, matrixWorld: this.el.object3D.matrixWorld.toArray() }
+        }));
+
         if (isDetectionManagerReady) {
             unityInstance.SendMessage("DetectionManager", "markerInfos", serializedInfos);
         }
@@ -0,0 +1,41 @@
+import { createLogger } from "./log.js";
+
+const log = createLogger("backend");
+
+// Tried in order; the first one that initializes wins.
+export const BACKEND_CHAIN = ["webgl", "wasm", "cpu"];
+
+// Backends on which the game should lower its difficulty / frame rate.
+export const SLOW_BACKENDS = ["wasm", "cpu"];
+
+const WASM_PATH = "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@3.14.0/dist/";
+
+if (tf.wasm) {
+    tf.wasm.setWasmPaths(WASM_PATH);
+}
+
+const tryBackend = async (name) => {
+    if (!tf.findBackendFactory(name)) {
+        throw new Error(`backend "${name}" is not registered`);
+    }
+    if (!(await tf.setBackend(name))) {
+        throw new Error(`backend "${name}" failed to initialize`);
+    }
+    await tf.ready();
+};
+
+// Never rejects: `backend` is null when every candidate failed.
+export const initBackend = async (chain = BACKEND_CHAIN) => {
+    const failed = [];
+    for (const name of chain) {
+        try {
+            await tryBackend(name);
+            log.info("TensorFlow.js backend", name);
+            return { backend: name, slow: SLOW_BACKENDS.includes(name), failed };
+        } catch (error) {
+            log.warn("Backend unavailable", name, error);
+            failed.push({ backend: name, error: String(error?.message ?? error) });
+        }
+    }
+    return { backend: null, slow: true, failed };
+};
@@ -0,0 +1,105 @@
+import { createLogger } from "./log.js";
+
+// Reads the camera directly in the browser instead of waiting for Unity to
+// push frames. `onFrame(video, timestamp)` is awaited before the next frame is
+// requested, so inference never queues up behind the camera.
+
+const log = createLogger("camera");
+
+const FACING_MODES = { front: "user", back: "environment", user: "user", environment: "environment" };
+
+export const DEFAULT_CAMERA = { facing: "back", width: 640, height: 480, frameRate: 30 };
+
+export const createCameraCapture = (onFrame) => {
+    let video = null;
+    let stream = null;
+    // Bumped by every stop() (start() stops first), so a loop from an earlier
+    // start() that is still awaiting onFrame ends instead of carrying on with
+    // the new video, and a start() still awaiting the camera gives up.
+    let generation = 0;
+
+    const nextFrame = (source, callback) => {
+        if ("requestVideoFrameCallback" in HTMLVideoElement.prototype) {
+            source.requestVideoFrameCallback(callback);
+        } else {
+            requestAnimationFrame(callback);
+        }
+    };
+
+    const loop = (source, token) => {
+        const step = async () => {
+            if (token !== generation) return;
+            if (source.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+                try {
+                    await onFrame(source, performance.now());
+                } catch (error) {
+                    log.error("Camera frame failed", error);
+                }
+            }
+            if (token === generation) nextFrame(source, step);
+        };
+        nextFrame(source, step);
+    };
+
+    const stop = () => {
+        generation++;
+        stream?.getTracks().forEach((track) => track.stop());
+        stream = null;
+        if (video) {
+            video.srcObject = null;
+            video = null;
+        }
+    };
+
+    // Resolves with the settings the camera actually granted, or null when
+    // stop() or another start() was called before the camera was ready.
+    const start = async (options = {}) => {
+        stop();
+        const token = generation;
+        const { facing, width, height, frameRate } = { ...DEFAULT_CAMERA, ...options };
+        const granted = await navigator.mediaDevices.getUserMedia({
+            audio: false,
+            video: {
+                facingMode: FACING_MODES[facing] ?? FACING_MODES.back,
+                width: { ideal: width },
+                height: { ideal: height },
+                frameRate: { ideal: frameRate },
+            },
+        });
+        const release = () => granted.getTracks().forEach((track) => track.stop());
+        if (token !== generation) {
+            release();
+            return null;
+        }
+
+        const source = document.createElement("video");
+        source.playsInline = true;
+        source.muted = true;
+        source.srcObject = granted;
+        try {
+            await source.play();
+        } catch (error) {
+            release();
+            throw error;
+        }
+        if (token !== generation) {
+            release();
+            source.srcObject = null;
+            return null;
+        }
+
+        stream = granted;
+        video = source;
+        loop(video, token);
+
+        const settings = stream.getVideoTracks()[0].getSettings();
+        return {
+            facing: settings.facingMode === "user" ? "front" : "back",
+            width: settings.width ?? video.videoWidth,
+            height: settings.height ?? video.videoHeight,
+            frameRate: settings.frameRate ?? frameRate,
+        };
+    };
+
+    return { start, stop };
+};
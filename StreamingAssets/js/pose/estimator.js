@@ -0,0 +1,135 @@
+import { initBackend } from "./backend.js";
+import { createPoseDetector } from "./models.js";
+import { createRoiTracker } from "./roi.js";
+
+// Backend bootstrap plus pose estimation. Runs inside pose-worker.js, or on
+// the main thread when workers are unavailable; both sides speak the same
+// { init, estimate, configure, terminate } interface, so callers don't care which one they get.
+//
+// Frames are { bitmap } (an ImageBitmap, closed after use) or
+// { pixels, width, height, flipY } with `pixels` an RGBA ArrayBuffer.
+export const createEstimator = () => {
+    let model = null;
+    const roi = createRoiTracker();
+    let inputScale = 1;
+    let frameSize = { width: 0, height: 0 };
+
+    const init = async (modelName, modelOptions) => {
+        const backendInfo = await initBackend();
+        if (!backendInfo.backend) {
+            return { backendInfo, model: null };
+        }
+        model = await createPoseDetector(modelName, modelOptions);
+        return { backendInfo, model: { name: model.name, multiPose: model.multiPose } };
+    };
+
+    const pixelsToTensor = ({ pixels, width, height, flipY }) => {
+        const image = new ImageData(new Uint8ClampedArray(pixels), width, height);
+        return tf.tidy(() => {
+            const tensor = tf.browser.fromPixels(image);
+            return flipY ? tf.reverse(tensor, 0) : tensor;
+        });
+    };
+
+    // Crops `image` to `area` and scales it by inputScale.
+    const prepareInput = (image, area, scale) => {
+        const resizeWidth = Math.round(area.width * scale);
+        const resizeHeight = Math.round(area.height * scale);
+        if (image instanceof tf.Tensor) {
+            return tf.tidy(() => {
+                const cropped = tf.slice(image, [area.y, area.x, 0], [area.height, area.width, 3]);
+                return scale === 1 ? cropped : tf.image.resizeBilinear(cropped, [resizeHeight, resizeWidth]);
+            });
+        }
+        return createImageBitmap(image, area.x, area.y, area.width, area.height, {
+            resizeWidth,
+            resizeHeight,
+            resizeQuality: "low",
+        });
+    };
+
+    const toFullFrame = (poses, { x, y }, scale) =>
+        poses.map((pose) => ({
+            ...pose,
+            keypoints: pose.keypoints.map((keypoint) => ({
+                ...keypoint,
+                x: keypoint.x / scale + x,
+                y: keypoint.y / scale + y,
+            })),
+        }));
+
+    const memory = () => {
+        const { numTensors, numBytes, numBytesInGPU = null } = tf.memory();
+        return { numTensors, numBytes, numBytesInGPU };
+    };
+
+    // Resolves with { poses, width, height, region }; poses are plain, cloneable
+    // objects in full-frame pixels, `region` is the crop they were found in
+    // (null for the full frame). Multi-person models always see the whole frame.
+    const detect = async (frame) => {
+        const tensor = frame.pixels ? pixelsToTensor(frame) : null;
+        const image = tensor ?? frame.bitmap;
+        const [height, width] = tensor ? tensor.shape : [frame.bitmap.height, frame.bitmap.width];
+        // A region from a differently sized frame may lie outside this one,
+        // e.g. after Unity switched the WebCamTexture's resolution.
+        if (frameSize.width !== width || frameSize.height !== height) {
+            if (roi.current()) {
+                roi.reset();
+                model.detector.reset();
+            }
+            frameSize = { width, height };
+        }
+        const region = model.multiPose ? null : roi.current();
+        const area = region ?? { x: 0, y: 0, width, height };
+        const scale = inputScale;
+        let input = image;
+        try {
+            if (region || scale !== 1) {
+                input = await prepareInput(image, area, scale);
+            }
+            let poses = await model.detector.estimatePoses(input);
+            if (input !== image) {
+                poses = toFullFrame(poses, area, scale);
+            }
+            if (!model.multiPose && roi.update(poses[0]?.keypoints ?? [], width, height)) {
+                model.detector.reset();
+            }
+            return { poses, width, height, region };
+        } catch (error) {
+            // Don't keep cropping to a region that may be what failed.
+            roi.reset();
+            throw error;
+        } finally {
+            if (input instanceof tf.Tensor && input !== image) {
+                input.dispose();
+            } else if (input !== image) {
+                input.close();
+            }
+            tensor?.dispose();
+            frame.bitmap?.close();
+        }
+    };
+
+    // Adds `memory`, this thread's tf.memory(), read once the frame's tensors
+    // are released so that any growth is a leak.
+    const estimate = async (frame) => ({ ...(await detect(frame)), memory: memory() });
+
+    // e.g. { roi: { enabled: false }, inputScale: 0.5 }
+    const configure = (options = {}) => {
+        if (options.roi) {
+            roi.configure(options.roi);
+            model?.detector.reset();
+        }
+        if (options.inputScale !== undefined && options.inputScale !== inputScale) {
+            inputScale = options.inputScale;
+            model?.detector.reset();
+        }
+    };
+
+    const terminate = () => {
+        model?.detector.dispose();
+        model = null;
+    };
+
+    return { init, estimate, configure, terminate };
+};
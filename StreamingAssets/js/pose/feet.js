@@ -0,0 +1,118 @@
+// Looked up by name: BlazePose and MoveNet number their keypoints differently.
+export const findKeypoint = (keypoints, name) => keypoints.find((k) => k.name === name);
+
+export const FOOT_SIDES = ["left", "right"];
+
+// How much better the other foot must score before the dominant hint flips.
+const DOMINANT_MARGIN = 0.15;
+
+// Keypoint set name -> the keypoint that stands in for each foot. Heel and
+// foot_index only exist in BlazePose; other models fall back to the ankle.
+// "tip" is estimated, see estimateFootTip.
+export const KEYPOINT_SETS = { tip: null, ankle: "ankle", heel: "heel", toe: "foot_index" };
+
+const TIP_EXTENSION = 0.25; // fraction of the knee-ankle distance added past the ankle
+const TIP_MIN_SCORE = 0.3; // below this the toe or knee keypoint is ignored
+
+// Where the foot meets the ball. MoveNet and PoseNet stop at the ankle, which
+// sits 10-20 cm behind the toes, so the tip is extrapolated along the shin
+// (knee -> ankle). BlazePose's toe keypoint (foot_index) is used directly
+// while it is confident. Falls back to the ankle; undefined without one.
+export const estimateFootTip = (keypoints, side) => {
+    const toe = findKeypoint(keypoints, `${side}_foot_index`);
+    if (toe && (toe.score ?? 0) >= TIP_MIN_SCORE) {
+        return toe;
+    }
+    const ankle = findKeypoint(keypoints, `${side}_ankle`);
+    const knee = findKeypoint(keypoints, `${side}_knee`);
+    if (!ankle || !knee || (knee.score ?? 0) < TIP_MIN_SCORE) {
+        return ankle;
+    }
+    return {
+        x: ankle.x + (ankle.x - knee.x) * TIP_EXTENSION,
+        y: ankle.y + (ankle.y - knee.y) * TIP_EXTENSION,
+        // Only as trustworthy as the weaker of the two points it came from.
+        score: Math.min(ankle.score ?? 0, knee.score),
+    };
+};
+
+const locateFoot = (keypoints, side, keypointSet) => {
+    if (keypointSet === "tip") {
+        return estimateFootTip(keypoints, side);
+    }
+    return findKeypoint(keypoints, `${side}_${KEYPOINT_SETS[keypointSet]}`) ?? findKeypoint(keypoints, `${side}_ankle`);
+};
+
+const readFoot = (keypoints, side, width, height, threshold, t, keypointSet) => {
+    const point = locateFoot(keypoints, side, keypointSet);
+    const score = point?.score ?? 0;
+    return {
+        side,
+        x: point ? point.x / width : 0,
+        y: point ? point.y / height : 0,
+        score,
+        visible: score > threshold,
+        predicted: false,
+        t,
+    };
+};
+
+// Both feet, normalized to the frame and stamped with the capture time `t`,
+// labelled from the player's point of view.
+export const readFeet = (keypoints, width, height, threshold, t, keypointSet = "tip") => ({
+    left: readFoot(keypoints, "left", width, height, threshold, t, keypointSet),
+    right: readFoot(keypoints, "right", width, height, threshold, t, keypointSet),
+});
+
+// Sticks with the previous dominant foot unless it disappears or the other
+// one is clearly more confident, so the hint doesn't flicker between legs.
+export const dominantFoot = (feet, previous) => {
+    const visible = FOOT_SIDES.filter((side) => feet[side].visible);
+    if (visible.length === 0) return null;
+    if (visible.length === 1) return visible[0];
+    if (previous) {
+        const other = previous === "left" ? "right" : "left";
+        return feet[other].score > feet[previous].score + DOMINANT_MARGIN ? other : previous;
+    }
+    return feet.left.score >= feet.right.score ? "left" : "right";
+};
+
+// Maps positions as points and velocities/accelerations as vectors.
+export const IDENTITY_MAPPER = { point: (x, y) => ({ x, y }), vector: (x, y) => ({ x, y }) };
+
+const mapFoot = (foot, mapper) => {
+    const velocity = mapper.vector(foot.vx, foot.vy);
+    const acceleration = mapper.vector(foot.ax, foot.ay);
+    return {
+        ...foot,
+        ...mapper.point(foot.x, foot.y),
+        vx: velocity.x,
+        vy: velocity.y,
+        ax: acceleration.x,
+        ay: acceleration.y,
+    };
+};
+
+// The CameraStreamer scene's original ReceiveFootPosition message: left then
+// right, with a hidden foot at (0, 0).
+export const positionsPayload = (feet, mapper = IDENTITY_MAPPER) => ({
+    positions: FOOT_SIDES.map((side) =>
+        feet[side].visible ? mapper.point(feet[side].x, feet[side].y) : { x: 0, y: 0 },
+    ),
+});
+
+// Payload for FootCube.OnReceiveFootPosition. `x`/`y` mirror the dominant
+// foot so scenes that only read a single position keep working. `mapper`
+// converts from normalized frame coordinates, e.g. to the viewport (see view.js).
+export const footPayload = (feet, dominant, mapper = IDENTITY_MAPPER) => {
+    const left = mapFoot(feet.left, mapper);
+    const right = mapFoot(feet.right, mapper);
+    const main = dominant === "left" ? left : right;
+    return {
+        x: dominant ? main.x : 0,
+        y: dominant ? main.y : 0,
+        left,
+        right,
+        dominant,
+    };
+};
@@ -0,0 +1,183 @@
+import { FOOT_SIDES } from "./feet.js";
+
+// Smoothing for forwarded keypoints, in normalized coordinates with ms timestamps.
+// Filters read their settings object on every sample, so Unity can retune
+// them at runtime without resetting anything.
+
+export const FILTER_TYPES = ["none", "oneEuro", "kalman"];
+
+export const createFilterSettings = (overrides = {}) =>
+    applyFilterSettings(
+        {
+            type: "oneEuro",
+            oneEuro: { minCutoff: 1.0, beta: 1.0, dCutoff: 1.0 },
+            kalman: { processNoise: 10, measurementNoise: 0.0001 },
+        },
+        overrides
+    );
+
+const isPositive = (value) => typeof value === "number" && Number.isFinite(value) && value > 0;
+
+// Parameters each filter accepts and what a valid value is.
+const FILTER_PARAMS = {
+    oneEuro: {
+        minCutoff: [isPositive, "a positive number"],
+        beta: [(value) => isPositive(value) || value === 0, "0 or a positive number"],
+        dCutoff: [isPositive, "a positive number"],
+    },
+    kalman: {
+        processNoise: [isPositive, "a positive number"],
+        measurementNoise: [isPositive, "a positive number"],
+    },
+};
+
+// Throws on the first invalid setting without applying anything.
+export const validateFilterSettings = (update = {}) => {
+    if (update.type !== undefined && !FILTER_TYPES.includes(update.type)) {
+        throw new Error(`Unknown filter type "${update.type}"`);
+    }
+    for (const [filter, params] of Object.entries(FILTER_PARAMS)) {
+        const changes = update[filter];
+        if (changes === undefined) continue;
+        if (typeof changes !== "object" || changes === null) {
+            throw new Error(`Filter ${filter} settings must be an object, got ${changes}`);
+        }
+        for (const [key, value] of Object.entries(changes)) {
+            if (!(key in params)) {
+                throw new Error(`Unknown ${filter} filter setting "${key}"`);
+            }
+            const [valid, expected] = params[key];
+            if (!valid(value)) {
+                throw new Error(`Filter ${filter}.${key} must be ${expected}, got ${JSON.stringify(value)}`);
+            }
+        }
+    }
+};
+
+// Merges a partial update such as { type: "kalman", kalman: { processNoise: 5 } }.
+export const applyFilterSettings = (settings, update = {}) => {
+    validateFilterSettings(update);
+    if (update.type !== undefined) settings.type = update.type;
+    Object.assign(settings.oneEuro, update.oneEuro);
+    Object.assign(settings.kalman, update.kalman);
+    return settings;
+};
+
+const smoothingFactor = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+// Casiez et al., "1€ Filter": low lag while moving, heavy smoothing at rest.
+const createOneEuro = (params) => {
+    let last = null;
+    return (value, t) => {
+        if (!last || t <= last.t) {
+            last = { t, value, derivative: 0 };
+            return value;
+        }
+        const dt = (t - last.t) / 1000;
+        const rawDerivative = (value - last.value) / dt;
+        const derivative = last.derivative + smoothingFactor(params.dCutoff, dt) * (rawDerivative - last.derivative);
+        const cutoff = params.minCutoff + params.beta * Math.abs(derivative);
+        const filtered = last.value + smoothingFactor(cutoff, dt) * (value - last.value);
+        last = { t, value: filtered, derivative };
+        return filtered;
+    };
+};
+
+// Constant-velocity Kalman filter on one axis; processNoise is the variance
+// of the unmodelled acceleration, measurementNoise the keypoint variance.
+const createKalman = (params) => {
+    let state = null;
+    return (value, t) => {
+        if (!state || t <= state.t) {
+            state = { t, p: value, v: 0, P: [1, 0, 0, 1] };
+            return value;
+        }
+        const dt = (t - state.t) / 1000;
+        const q = params.processNoise;
+        const [p00, p01, p10, p11] = state.P;
+
+        // Predict.
+        const p = state.p + state.v * dt;
+        const v = state.v;
+        const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + (q * dt ** 4) / 4;
+        const a01 = p01 + dt * p11 + (q * dt ** 3) / 2;
+        const a10 = p10 + dt * p11 + (q * dt ** 3) / 2;
+        const a11 = p11 + q * dt * dt;
+
+        // Update with the measured position.
+        const k0 = a00 / (a00 + params.measurementNoise);
+        const k1 = a10 / (a00 + params.measurementNoise);
+        const residual = value - p;
+        state = {
+            t,
+            p: p + k0 * residual,
+            v: v + k1 * residual,
+            P: [(1 - k0) * a00, (1 - k0) * a01, a10 - k1 * a00, a11 - k1 * a01],
+        };
+        return state.p;
+    };
+};
+
+const createAxisFilter = (settings) => {
+    switch (settings.type) {
+        case "oneEuro":
+            return createOneEuro(settings.oneEuro);
+        case "kalman":
+            return createKalman(settings.kalman);
+        default:
+            return (value) => value;
+    }
+};
+
+// Filters an { x, y } point; rebuilds itself when the filter type changes.
+export const createPointFilter = (settings) => {
+    let type = null;
+    let fx;
+    let fy;
+    const reset = () => {
+        type = settings.type;
+        fx = createAxisFilter(settings);
+        fy = createAxisFilter(settings);
+    };
+    const filter = (x, y, t) => {
+        if (type !== settings.type) reset();
+        return { x: fx(x, t), y: fy(y, t) };
+    };
+    return { filter, reset };
+};
+
+// Smooths both foot samples in place; hidden feet restart their filter.
+export const filterFeet = (feet, state, settings) => {
+    state.filters ??= Object.fromEntries(FOOT_SIDES.map((side) => [side, createPointFilter(settings)]));
+    for (const side of FOOT_SIDES) {
+        const foot = feet[side];
+        if (foot.visible) {
+            Object.assign(foot, state.filters[side].filter(foot.x, foot.y, foot.t));
+        } else {
+            state.filters[side].reset();
+        }
+    }
+    return feet;
+};
+
+// A `smooth` for skeletonPayload, with one point filter per keypoint name kept
+// in `state`. Like hidden feet, keypoints below `threshold` are passed through
+// and restart their filter.
+export const skeletonSmoother = (state, settings, threshold, t) => {
+    state.keypointFilters ??= new Map();
+    return (keypoint, { x, y }) => {
+        let filter = state.keypointFilters.get(keypoint.name);
+        if (!filter) {
+            filter = createPointFilter(settings);
+            state.keypointFilters.set(keypoint.name, filter);
+        }
+        if ((keypoint.score ?? 0) < threshold) {
+            filter.reset();
+            return { x, y };
+        }
+        return filter.filter(x, y, t);
+    };
+};
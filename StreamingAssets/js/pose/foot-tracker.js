@@ -0,0 +1,727 @@
+import { createCameraCapture } from "./camera.js";
+import { createEstimator } from "./estimator.js";
+import { KEYPOINT_SETS, dominantFoot, footPayload, positionsPayload, readFeet } from "./feet.js";
+import {
+    applyFilterSettings,
+    createFilterSettings,
+    filterFeet,
+    skeletonSmoother,
+    validateFilterSettings,
+} from "./filters.js";
+import { createGroundProjector } from "./ground.js";
+import { DEFAULT_GOVERNOR, createGovernor, validateGovernor } from "./governor.js";
+import { createKickDetector } from "./kick.js";
+import { configureLogging, createLogger, getLogBuffer } from "./log.js";
+import { DEFAULT_METRICS, createMetrics, validateMetrics } from "./metrics.js";
+import { DEFAULT_MODEL, listPoseModels, resolveModelName } from "./models.js";
+import { trackFootMotion } from "./motion.js";
+import { createDebugOverlay } from "./overlay.js";
+import { createPlayerTracker } from "./players.js";
+import { DEFAULT_PREDICTION, predictFeet } from "./predictor.js";
+import { createRateLimiter } from "./rate.js";
+import { DEFAULT_ROI, validateRoi } from "./roi.js";
+import { createFrameScheduler } from "./scheduler.js";
+import { skeletonPayload } from "./skeleton.js";
+import { sendToUnity, showBanner, unityReady } from "./unity.js";
+import { createViewTransform } from "./view.js";
+import { DEFAULT_WATCHDOG, createWatchdog, validateWatchdog } from "./watchdog.js";
+import { canUseWorker, createWorkerEstimator } from "./worker-estimator.js";
+
+const log = createLogger("tracker");
+
+export const COORDINATE_SPACES = ["normalized", "pixels", "frame"];
+
+// "foot" is footPayload; "positions" is the CameraStreamer scene's original
+// { positions: [left, right] } (single-person models only).
+export const OUTPUT_FORMATS = ["foot", "positions"];
+
+export const DEFAULT_OPTIONS = {
+    model: DEFAULT_MODEL,
+    threshold: 0.2, // minimum ankle score for a foot to count as visible
+    smoothing: true, // the detector's built-in keypoint smoothing
+    keypointSet: "tip", // see KEYPOINT_SETS
+    outputRate: 0, // max foot position messages per second, 0 = every frame
+    skeleton: false, // also send every keypoint on OnReceiveSkeleton / OnReceivePlayersSkeletons
+    overlay: false, // draw what the detector sees over the Unity canvas
+    groundMarker: null, // AR marker whose plane feet are projected onto; null = first visible
+    view: {}, // mirroring, rotation and fit onto the Unity viewport, see DEFAULT_VIEW
+    roi: DEFAULT_ROI, // crop around the last body (single-pose models only)
+    governor: DEFAULT_GOVERNOR, // trades input size, model and frame rate for latency
+    metrics: DEFAULT_METRICS, // periodic performance snapshots for a perf HUD
+    watchdog: DEFAULT_WATCHDOG, // tensor leak detection and detector recovery
+    filter: {}, // smoothing for feet and skeleton keypoints, see createFilterSettings
+    prediction: DEFAULT_PREDICTION,
+    maxPlayers: 6,
+    logLevel: "warn", // console level; ?debug in the URL forces "debug"
+    useWorker: true,
+    flipPixels: true, // Unity passes RGBA32 rows bottom-up, as WebCamTexture.GetPixels32 returns them
+    // Where foot positions go. Kick, lost-foot and status messages go to the
+    // same object under their own method names. "pixels" are viewport pixels,
+    // "frame" camera-frame pixels without the view transform.
+    output: { object: "FootCube", method: "OnReceiveFootPosition", coordinateSpace: "normalized", format: "foot" },
+};
+
+// One detector, one frame scheduler and one set of per-player filters.
+// Every Unity build creates its tracker here with explicit options and calls
+// install() to expose the window.* entry points the jslib calls into.
+export const createFootTracker = (options = {}) => {
+    const settings = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+        prediction: { ...DEFAULT_OPTIONS.prediction, ...options.prediction },
+        roi: { ...DEFAULT_OPTIONS.roi, ...options.roi },
+        governor: { ...DEFAULT_OPTIONS.governor, ...options.governor },
+        metrics: { ...DEFAULT_OPTIONS.metrics, ...options.metrics },
+        watchdog: { ...DEFAULT_OPTIONS.watchdog, ...options.watchdog },
+        output: { ...DEFAULT_OPTIONS.output, ...options.output },
+    };
+    const { output } = settings;
+    settings.model = resolveModelName(settings.model);
+    configureLogging({
+        level: new URLSearchParams(window.location.search).has("debug") ? "debug" : settings.logLevel,
+    });
+
+    // Runs the detector, in a worker when the browser supports it.
+    let estimator = null;
+
+    // { name, multiPose } once the detector is ready, for entry points that cannot await it.
+    let activeModel = null;
+
+    // Decides which model variant actually runs; settings.model is the heaviest it may pick.
+    const governor = createGovernor(settings.model, settings.governor);
+
+    // Decode, inference and end-to-end timings plus gauges, see publishMetrics.
+    const metrics = createMetrics();
+
+    // Samples each frame's tf.memory(); see handleLeak.
+    const watchdog = createWatchdog(settings.watchdog);
+
+    const startWorkerEstimator = async (modelName, modelOptions) => {
+        let candidate = null;
+        try {
+            candidate = createWorkerEstimator();
+            const started = await candidate.init(modelName, modelOptions);
+            if (started.model) {
+                return { estimator: candidate, ...started };
+            }
+            log.warn("No backend available in the pose worker");
+        } catch (error) {
+            log.warn("Pose worker unavailable", error);
+        }
+        candidate?.terminate();
+        return null;
+    };
+
+    // The previous detector keeps serving frames until its replacement is ready.
+    const loadDetector = async () => {
+        const { model: modelName, scale } = governor.current();
+        log.info("Initializing pose detector", modelName);
+        const modelOptions = { enableSmoothing: settings.smoothing };
+        let started =
+            settings.useWorker && canUseWorker() ? await startWorkerEstimator(modelName, modelOptions) : null;
+        if (!started) {
+            log.info("Running pose detection on the main thread");
+            const local = createEstimator();
+            started = { estimator: local, ...(await local.init(modelName, modelOptions)) };
+        }
+
+        unityReady.then(() => sendToUnity(output.object, "OnPoseBackendSelected", started.backendInfo));
+        if (!started.model) {
+            throw new Error("No TensorFlow.js backend could be initialized.");
+        }
+        log.info("Detector ready", started.model.name);
+        metrics.set("backend", started.backendInfo.backend);
+        metrics.set("model", started.model.name);
+        started.estimator.configure({ roi: settings.roi, inputScale: scale });
+        const previous = estimator;
+        estimator = started.estimator;
+        activeModel = started.model;
+        previous?.terminate();
+        governor.restart();
+        watchdog.reset();
+        resetTracking();
+        return activeModel;
+    };
+
+    let detectorPromise = loadDetector();
+
+    detectorPromise.catch((error) => log.error("Detector unavailable", error));
+
+    // Reloads are chained so two quick model changes can't race each other.
+    const reloadDetector = () => {
+        detectorPromise = detectorPromise.catch(() => null).then(loadDetector);
+        return detectorPromise;
+    };
+
+    const applyGovernor = (decision) => {
+        log.info("Governor decision", decision);
+        estimator?.configure({ inputScale: decision.scale });
+        if (activeModel && decision.model !== activeModel.name) {
+            reloadDetector().catch((error) => log.error("Detector reload failed", error));
+        }
+        sendToUnity(output.object, "OnGovernorDecision", decision);
+    };
+
+    const playerTracker = createPlayerTracker({ maxPlayers: settings.maxPlayers });
+
+    // Size of the frame being processed; keypoints are normalized against it.
+    const frame = { width: 0, height: 0 };
+
+    // Everything sent to Unity goes through the view transform; the pose
+    // pipeline itself works in normalized frame coordinates.
+    const view = createViewTransform(settings.view);
+
+    // Camera-frame pixels, for scenes that map the frame to the screen themselves.
+    const toFramePixels = (x, y) => ({ x: x * frame.width, y: y * frame.height });
+    const frameMapper = { point: toFramePixels, vector: toFramePixels };
+
+    const outputMapper = () => (output.coordinateSpace === "frame" ? frameMapper : view.mapper(output.coordinateSpace));
+
+    const filterSettings = createFilterSettings(settings.filter);
+
+    // World-space feet are only sent while app.js publishes an AR camera and marker.
+    const ground = createGroundProjector({ marker: settings.groundMarker });
+
+    // The AR camera's projection covers the viewport, so feet are mapped onto it first.
+    const worldFeet = (feet, dominant) => {
+        const mapper = view.mapper();
+        const project = (foot) => {
+            if (!foot.visible) return null;
+            const { x, y } = mapper.point(foot.x, foot.y);
+            return ground.project(x, y);
+        };
+        return { left: project(feet.left), right: project(feet.right), dominant };
+    };
+
+    // Reads both feet, smooths them, estimates their motion and bridges short
+    // dropouts; feet that stay hidden are reported to Unity as lost.
+    const processFeet = (keypoints, state, capturedAt, extra = {}) => {
+        const { threshold, keypointSet } = settings;
+        const feet = readFeet(keypoints, frame.width, frame.height, threshold, capturedAt, keypointSet);
+        trackFootMotion(filterFeet(feet, state, filterSettings), state);
+        for (const side of predictFeet(feet, state, settings.prediction)) {
+            log.info("Foot lost", side);
+            sendToUnity(output.object, "OnFootLost", { ...extra, foot: side, timestamp: capturedAt });
+        }
+        return feet;
+    };
+
+    // Per-player history for single-pose models; multipose players get theirs from playerTracker.
+    let singleState = {};
+
+    // A new detector starts every player's history over.
+    const resetTracking = () => {
+        singleState = {};
+        playerTracker.reset();
+    };
+
+    // Throttles position messages to settings.outputRate.
+    const outputDue = createRateLimiter(() => settings.outputRate);
+
+    const sendKicks = (state, keypoints, capturedAt, extra = {}) => {
+        state.kicks ??= createKickDetector();
+        for (const kick of state.kicks.update(keypoints, frame.width, frame.height, capturedAt)) {
+            log.info("Kick detected", kick);
+            const velocity = outputMapper().vector(kick.velocity.x, kick.velocity.y);
+            const speed = Math.hypot(velocity.x, velocity.y);
+            const direction = speed > 0 ? { x: velocity.x / speed, y: velocity.y / speed } : { x: 0, y: 0 };
+            sendToUnity(output.object, "OnKick", { ...extra, ...kick, velocity, direction, speed });
+        }
+    };
+
+    // Skeleton keypoints go through the same filter settings as the feet.
+    const skeleton = (keypoints, state, capturedAt) => {
+        const smooth = skeletonSmoother(state, filterSettings, settings.threshold, capturedAt);
+        return skeletonPayload(keypoints, frame.width, frame.height, outputMapper(), smooth);
+    };
+
+    // Two-player mode: one entry per tracked person, players without a visible foot are skipped.
+    // Returns every tracked player's feet for the overlay.
+    const sendPlayers = (poses, capturedAt, seq, due) => {
+        const players = [];
+        const skeletons = [];
+        const worldPlayers = [];
+        const tracked = [];
+        for (const { id, pose, state } of playerTracker.update(poses, frame.width, frame.height)) {
+            if (settings.skeleton) {
+                skeletons.push({ id, keypoints: skeleton(pose.keypoints, state, capturedAt) });
+            }
+            sendKicks(state, pose.keypoints, capturedAt, { player: id });
+            const feet = processFeet(pose.keypoints, state, capturedAt, { player: id });
+            state.dominant = dominantFoot(feet, state.dominant);
+            tracked.push({ id, feet, dominant: state.dominant });
+            if (state.dominant) {
+                players.push({ id, ...footPayload(feet, state.dominant, outputMapper()) });
+                worldPlayers.push({ id, ...worldFeet(feet, state.dominant) });
+            }
+        }
+        if (due) {
+            sendToUnity(output.object, "OnReceivePlayersFootPositions", { seq, players });
+            if (settings.skeleton) {
+                sendToUnity(output.object, "OnReceivePlayersSkeletons", { seq, players: skeletons });
+            }
+            if (ground.isAvailable()) {
+                const message = { seq, marker: ground.marker(), players: worldPlayers };
+                sendToUnity(output.object, "OnReceivePlayersFootWorldPositions", message);
+            }
+        }
+        return tracked;
+    };
+
+    // Kicks and lost feet are always reported; only positions follow outputRate.
+    // Returns [{ id, feet, dominant }] for the overlay.
+    const handlePoses = (poses, multiPose, capturedAt, seq) => {
+        const due = outputDue(capturedAt);
+        if (multiPose) {
+            return sendPlayers(poses, capturedAt, seq, due);
+        }
+        if (poses.length === 0) {
+            log.debug("No poses detected");
+        }
+
+        // An empty frame still runs through the feet pipeline so prediction can cover it.
+        const keypoints = poses[0]?.keypoints ?? [];
+
+        log.debug("Keypoints received", keypoints);
+
+        // Smoothed on every frame, like the feet; only sending follows outputRate.
+        if (settings.skeleton && keypoints.length > 0) {
+            const message = { seq, keypoints: skeleton(keypoints, singleState, capturedAt) };
+            if (due) sendToUnity(output.object, "OnReceiveSkeleton", message);
+        }
+
+        sendKicks(singleState, keypoints, capturedAt);
+
+        const feet = processFeet(keypoints, singleState, capturedAt);
+
+        log.debug("Feet", feet.left, feet.right);
+
+        singleState.dominant = dominantFoot(feet, singleState.dominant);
+
+        // Like the scene's original script, "positions" is sent whenever there is a body.
+        if (due && output.format === "positions" && keypoints.length > 0) {
+            sendToUnity(output.object, output.method, { seq, ...positionsPayload(feet, outputMapper()) });
+        }
+        if (singleState.dominant && due) {
+            if (output.format === "foot") {
+                const payload = { seq, ...footPayload(feet, singleState.dominant, outputMapper()) };
+                log.debug("Sending foot position to Unity", payload);
+                sendToUnity(output.object, output.method, payload);
+            }
+            if (ground.isAvailable()) {
+                const world = { seq, marker: ground.marker(), ...worldFeet(feet, singleState.dominant) };
+                sendToUnity(output.object, "OnReceiveFootWorldPosition", world);
+            }
+        } else if (!singleState.dominant) {
+            log.debug("Foot score too low or undefined");
+        }
+        return [{ id: null, feet, dominant: singleState.dominant }];
+    };
+
+    const overlay = createDebugOverlay();
+    overlay.setVisible(settings.overlay);
+
+    // A copy of the frame for the overlay, taken before the estimator consumes it.
+    const previewImage = (estimatorFrame) => {
+        if (estimatorFrame.bitmap) {
+            return createImageBitmap(estimatorFrame.bitmap);
+        }
+        const { pixels, width, height, flipY } = estimatorFrame;
+        const image = new ImageData(new Uint8ClampedArray(pixels.slice(0)), width, height);
+        return createImageBitmap(image, flipY ? { imageOrientation: "flipY" } : {});
+    };
+
+    // Turns a scheduled frame into what the estimator accepts. JPEGs and video
+    // frames become ImageBitmaps, decoded off the main thread by the browser.
+    const toEstimatorFrame = async (data) => {
+        if (data.pixels) {
+            return { pixels: data.pixels.buffer, width: data.width, height: data.height, flipY: settings.flipPixels };
+        }
+        if (data.video) {
+            return { bitmap: await createImageBitmap(data.video) };
+        }
+        const jpeg = await (await fetch("data:image/jpeg;base64," + data.base64)).blob();
+        return { bitmap: await createImageBitmap(jpeg) };
+    };
+
+    // Frames are { base64 }, { pixels, width, height } or { video }.
+    const processFrame = async (data, seq, capturedAt) => {
+        const model = activeModel ?? (await detectorPromise.catch(() => null));
+        if (!model) {
+            return;
+        }
+
+        // Held locally: a reload may swap the detector while this frame is in flight.
+        const active = estimator;
+        const decodeStartedAt = performance.now();
+        const estimatorFrame = await toEstimatorFrame(data);
+        metrics.time("decode", performance.now() - decodeStartedAt);
+        const preview = overlay.isVisible() ? await previewImage(estimatorFrame) : null;
+        const startedAt = performance.now();
+        let result;
+        try {
+            result = await active.estimate(estimatorFrame);
+        } catch (error) {
+            preview?.close();
+            throw error;
+        }
+        const elapsed = performance.now() - startedAt;
+        metrics.time("inference", elapsed);
+        const decision = governor.record(elapsed);
+        if (decision) {
+            applyGovernor(decision);
+        }
+        const { poses, width, height, region, memory } = result;
+        metrics.set("tensors", memory?.numTensors ?? null);
+        metrics.set("gpuBytes", memory?.numBytesInGPU ?? null);
+        const incident = active === estimator ? watchdog.sample(memory) : null;
+        if (incident) {
+            handleLeak(incident);
+        }
+        log.debug("Frame estimated", seq);
+        frame.width = width;
+        frame.height = height;
+        view.update(width, height);
+        const players = handlePoses(poses, model.multiPose, capturedAt, seq);
+        metrics.time("e2e", performance.now() - capturedAt);
+        overlay.draw({
+            image: preview,
+            width,
+            height,
+            poses,
+            players,
+            region,
+            threshold: settings.threshold,
+            status: {
+                model: model.name,
+                frame: seq,
+                dropped: frameScheduler.stats().dropped,
+                ...governorStatus(),
+            },
+        });
+    };
+
+    // A worker detector is recreated with a fresh worker, which frees
+    // everything it leaked. On the main thread only the detector's own
+    // tensors are released, so a leak elsewhere will be reported again.
+    const handleLeak = (incident) => {
+        log.warn("Tensor memory keeps growing", incident);
+        metrics.set("leaks", incident.incident);
+        sendToUnity(output.object, "OnFootTrackerMemoryWarning", incident);
+        showBanner(
+            `Pose detection memory keeps growing (${incident.tensors} tensors)` +
+                (incident.recover ? ", restarting the detector." : "."),
+            "warning",
+        );
+        if (incident.recover) {
+            reloadDetector().catch((error) => log.error("Detector recovery failed", error));
+        }
+    };
+
+    const governorStatus = () => {
+        const { scale, targetFps, latency, budget } = governor.state();
+        return { scale, "target fps": targetFps, latency: `${latency} / ${budget} ms` };
+    };
+
+    const frameScheduler = createFrameScheduler(processFrame, {
+        onStats: (stats) => sendToUnity(output.object, "OnFrameStats", stats),
+    });
+
+    // Frames the governor turned away, for the metrics snapshot.
+    let throttled = 0;
+
+    const admit = (capturedAt) => {
+        if (governor.admit(capturedAt)) {
+            return true;
+        }
+        throttled++;
+        return false;
+    };
+
+    // Frames over the governor's target rate are skipped before any copy or decode.
+    const submitFrame = (data, capturedAt = performance.now()) =>
+        admit(capturedAt) ? frameScheduler.submit(data, capturedAt) : Promise.resolve({ seq: null, dropped: true });
+
+    // Raw path from the Unity jslib: `pixels` is a Uint8Array view into the WASM
+    // heap. It is copied once so the buffer can be handed to the worker (and so
+    // Unity may reuse its own); there is no JPEG encode or decode. Frames
+    // arriving before the detector is ready are dropped rather than queued.
+    const submitPixels = (pixels, width, height) => {
+        if (!activeModel) {
+            return;
+        }
+        if (pixels.length !== width * height * 4) {
+            log.warn("Unexpected RGBA frame size", { expected: width * height * 4, received: pixels.length });
+            return;
+        }
+        const capturedAt = performance.now();
+        if (admit(capturedAt)) {
+            frameScheduler.submit({ pixels: pixels.slice(), width, height }, capturedAt);
+        }
+    };
+
+    const camera = createCameraCapture((video, capturedAt) => submitFrame({ video }, capturedAt));
+
+    // While the camera runs, frames pushed by Unity compete with it for the scheduler.
+    const startCamera = async (cameraOptions) => {
+        try {
+            await detectorPromise;
+            const cameraSettings = await camera.start(cameraOptions);
+            if (!cameraSettings) {
+                log.info("Camera start superseded");
+                return;
+            }
+            view.setFrontCamera(cameraSettings.facing === "front");
+            log.info("Camera started", cameraSettings);
+            sendToUnity(output.object, "OnFootCameraStarted", cameraSettings);
+        } catch (error) {
+            // camera.start() stopped any previous stream, so frames now come from Unity.
+            view.setFrontCamera(false);
+            log.error("Camera failed to start", error);
+            sendToUnity(output.object, "OnFootCameraError", { error: String(error?.message ?? error) });
+        }
+    };
+
+    // Frames pushed by Unity afterwards aren't from the front camera.
+    const stopCamera = () => {
+        camera.stop();
+        view.setFrontCamera(false);
+    };
+
+    // Frame counters are running totals; timings cover the last interval only.
+    const publishMetrics = () => {
+        metrics.set("frames", { ...frameScheduler.stats(), throttled });
+        sendToUnity(settings.metrics.object, settings.metrics.method, metrics.snapshot());
+    };
+
+    let metricsTimer = null;
+
+    // Snapshots are only sent while a receiving object is configured.
+    const scheduleMetrics = () => {
+        clearInterval(metricsTimer);
+        metricsTimer = settings.metrics.object ? setInterval(publishMetrics, settings.metrics.interval) : null;
+    };
+
+    unityReady.then(scheduleMetrics);
+
+    // e.g. { type: "kalman", kalman: { processNoise: 5 } }
+    const setFilter = (update) => {
+        applyFilterSettings(filterSettings, update);
+        log.info("Foot filter settings", filterSettings);
+    };
+
+    const validateOutput = (update = {}) => {
+        for (const key of ["object", "method"]) {
+            if (update[key] !== undefined && (typeof update[key] !== "string" || !update[key])) {
+                throw new Error(`Output ${key} must be a name, got ${JSON.stringify(update[key])}`);
+            }
+        }
+        if (update.coordinateSpace !== undefined && !COORDINATE_SPACES.includes(update.coordinateSpace)) {
+            throw new Error(`Unknown coordinate space "${update.coordinateSpace}"`);
+        }
+        if (update.format !== undefined && !OUTPUT_FORMATS.includes(update.format)) {
+            throw new Error(`Unknown output format "${update.format}"`);
+        }
+    };
+
+    // e.g. { object: "CameraStreamer", method: "ReceiveFootPosition", coordinateSpace: "pixels" }
+    const configureOutput = (update) => {
+        validateOutput(update);
+        for (const key of Object.keys(DEFAULT_OPTIONS.output)) {
+            if (update[key] !== undefined) output[key] = update[key];
+        }
+    };
+
+    const appliedConfig = () => ({
+        threshold: settings.threshold,
+        smoothing: settings.smoothing,
+        model: activeModel?.name ?? settings.model,
+        keypointSet: settings.keypointSet,
+        outputRate: settings.outputRate,
+        skeleton: settings.skeleton,
+        overlay: overlay.isVisible(),
+        groundMarker: settings.groundMarker,
+        view: view.settings(),
+        filter: filterSettings,
+        roi: settings.roi,
+        governor: governor.state(),
+        metrics: settings.metrics,
+        watchdog: watchdog.settings(),
+        output: { ...output },
+        target: output.object,
+    });
+
+    // e.g. { threshold: 0.3, model: "movenet-lightning", keypointSet: "heel", outputRate: 15,
+    //        skeleton: true, metrics: { object: "PerfHud" }, target: "Ball" }
+    // Unknown keys are ignored; the whole update is validated before any of it
+    // is applied. The applied config is echoed to Unity through
+    // OnFootTrackerConfigured once a model change has finished loading, with
+    // an `error` field when the update was rejected.
+    const configure = async (update) => {
+        if (update.threshold !== undefined && !(update.threshold >= 0 && update.threshold <= 1)) {
+            throw new Error(`Threshold must be between 0 and 1, got ${update.threshold}`);
+        }
+        if (update.model !== undefined && !listPoseModels().includes(update.model)) {
+            throw new Error(`Unknown pose model "${update.model}"`);
+        }
+        if (update.keypointSet !== undefined && !(update.keypointSet in KEYPOINT_SETS)) {
+            throw new Error(`Unknown keypoint set "${update.keypointSet}"`);
+        }
+        if (update.outputRate !== undefined && !(update.outputRate >= 0)) {
+            throw new Error(`Output rate must be 0 or more, got ${update.outputRate}`);
+        }
+        if (update.groundMarker != null && typeof update.groundMarker !== "string") {
+            throw new Error(`Ground marker must be a marker name or null, got ${update.groundMarker}`);
+        }
+        view.validate(update.view);
+        if (update.filter !== undefined && typeof update.filter !== "object") {
+            throw new Error(`Filter settings must be an object, got ${update.filter}`);
+        }
+        validateFilterSettings(update.filter ?? {});
+        if (update.output !== undefined && typeof update.output !== "object") {
+            throw new Error(`Output settings must be an object, got ${update.output}`);
+        }
+        validateOutput(update.output ?? {});
+        if (update.roi !== undefined && typeof update.roi !== "boolean" && typeof update.roi !== "object") {
+            throw new Error(`ROI must be true, false or settings, got ${update.roi}`);
+        }
+        if (typeof update.roi === "object") validateRoi(update.roi ?? {});
+        if (update.governor !== undefined && typeof update.governor !== "object") {
+            throw new Error(`Governor settings must be an object, got ${update.governor}`);
+        }
+        validateGovernor(update.governor ?? {});
+        if (update.metrics !== undefined && typeof update.metrics !== "object") {
+            throw new Error(`Metrics settings must be an object, got ${update.metrics}`);
+        }
+        validateMetrics(update.metrics ?? {});
+        if (update.watchdog !== undefined && typeof update.watchdog !== "object") {
+            throw new Error(`Watchdog settings must be an object, got ${update.watchdog}`);
+        }
+        validateWatchdog(update.watchdog ?? {});
+        if (update.target !== undefined && (typeof update.target !== "string" || !update.target)) {
+            throw new Error(`Target must be a GameObject name, got ${JSON.stringify(update.target)}`);
+        }
+
+        const modelChanged = update.model !== undefined && update.model !== settings.model;
+        const reload =
+            modelChanged || (update.smoothing !== undefined && Boolean(update.smoothing) !== settings.smoothing);
+        const loaded = { model: settings.model, smoothing: settings.smoothing };
+        for (const key of ["threshold", "model", "keypointSet", "outputRate"]) {
+            if (update[key] !== undefined) settings[key] = update[key];
+        }
+        if (update.smoothing !== undefined) settings.smoothing = Boolean(update.smoothing);
+        if (update.skeleton !== undefined) settings.skeleton = Boolean(update.skeleton);
+        if (update.overlay !== undefined) overlay.setVisible(Boolean(update.overlay));
+        if (update.groundMarker !== undefined) {
+            settings.groundMarker = update.groundMarker;
+            ground.setMarker(update.groundMarker);
+        }
+        if (update.view !== undefined) view.configure(update.view);
+        if (update.filter) applyFilterSettings(filterSettings, update.filter);
+        if (update.roi !== undefined) {
+            const roi = typeof update.roi === "boolean" ? { enabled: update.roi } : update.roi;
+            settings.roi = { ...settings.roi, ...roi };
+            estimator?.configure({ roi });
+        }
+        if (update.governor) {
+            settings.governor = { ...settings.governor, ...update.governor };
+            const decision = governor.configure(update.governor);
+            if (!reload) applyGovernor(decision);
+        }
+        if (update.metrics) {
+            for (const key of Object.keys(DEFAULT_METRICS)) {
+                if (update.metrics[key] !== undefined) settings.metrics[key] = update.metrics[key];
+            }
+            unityReady.then(scheduleMetrics);
+        }
+        if (update.watchdog) watchdog.configure(update.watchdog);
+        if (modelChanged) governor.setModel(settings.model);
+        if (update.output) configureOutput(update.output);
+        if (update.target !== undefined) output.object = update.target;
+
+        let error;
+        if (reload) {
+            try {
+                await reloadDetector();
+            } catch (reloadError) {
+                // The previous detector is still running; report what it uses.
+                log.error("Detector reload failed", reloadError);
+                Object.assign(settings, loaded);
+                if (modelChanged) governor.setModel(settings.model);
+                error = String(reloadError?.message ?? reloadError);
+            }
+        }
+        const config = { ...appliedConfig(), ...(error && { error }) };
+        log.info("Foot tracker configured", config);
+        sendToUnity(output.object, "OnFootTrackerConfigured", config);
+        return config;
+    };
+
+    // e.g. { level: "debug", bufferLevel: "debug" }; see configureLogging.
+    const setLogging = (update) => {
+        const logging = configureLogging(update);
+        estimator?.setLogging?.(logging);
+        log.info("Log settings", logging);
+    };
+
+    const parseJson = (json, what, apply) => {
+        try {
+            apply(json ? JSON.parse(json) : {});
+        } catch (error) {
+            log.error(`Invalid ${what}`, error);
+        }
+    };
+
+    // Exposes the entry points Unity calls. onUnityFrame is the older name used
+    // by the CameraStreamer scene; that scene gets its original message with
+    // output { object: "CameraStreamer", method: "ReceiveFootPosition",
+    // format: "positions", coordinateSpace: "frame" }, set in footTrackerConfig
+    // or from C# through SetFootOutput.
+    const install = (target = window) => {
+        target.ReceiveWebcamFrame = (base64) => {
+            submitFrame({ base64 });
+        };
+        target.onUnityFrame = target.ReceiveWebcamFrame;
+        target.ReceiveWebcamPixels = submitPixels;
+        // e.g. {"type":"kalman","kalman":{"processNoise":5}}
+        target.SetFootFilter = (json) => parseJson(json, "foot filter settings", setFilter);
+        // e.g. {"object":"CameraStreamer","method":"ReceiveFootPosition","coordinateSpace":"pixels"}
+        target.SetFootOutput = (json) => parseJson(json, "foot output settings", configureOutput);
+        // e.g. {"threshold":0.3,"model":"movenet-lightning","outputRate":15,"target":"Ball"}
+        target.ConfigureFootTracker = (json) =>
+            parseJson(json, "foot tracker config", (update) =>
+                configure(update).catch((error) => {
+                    log.error("Configuration rejected", error);
+                    sendToUnity(output.object, "OnFootTrackerConfigured", {
+                        ...appliedConfig(),
+                        error: String(error?.message ?? error),
+                    });
+                }),
+            );
+        // e.g. {"facing":"front","width":1280,"height":720,"frameRate":30}
+        target.StartFootCamera = (json) => parseJson(json, "camera settings", startCamera);
+        target.StopFootCamera = stopCamera;
+        // e.g. {"level":"debug","bufferLevel":"debug"}
+        target.SetFootLogging = (json) => parseJson(json, "log settings", setLogging);
+        target.SetFootDebugOverlay = (visible) => overlay.setVisible(Boolean(visible));
+        // Recent log lines, oldest first, for bug reports.
+        target.GetFootTrackerLog = getLogBuffer;
+    };
+
+    return {
+        get ready() {
+            return detectorPromise;
+        },
+        submitFrame,
+        submitPixels,
+        startCamera,
+        stopCamera,
+        setFilter,
+        configureOutput,
+        configure,
+        setLogging,
+        getLog: getLogBuffer,
+        overlay,
+        install,
+    };
+};
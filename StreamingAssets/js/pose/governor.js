@@ -0,0 +1,177 @@
+import { createRateLimiter } from "./rate.js";
+
+// Keeps inference inside a latency budget. Each level down the ladder gives
+// up a little quality: first input resolution, then a lighter variant of the
+// same model family, then inference rate. The governor steps down when the
+// average latency is over budget and back up once there is clear headroom,
+// waiting `cooldown` after every change so the new setting can be measured.
+// The latency measured at each level is remembered, so the governor won't
+// climb back into a level that was over budget until `backoff` has passed
+// (doubling each time that level fails again).
+
+export const DEFAULT_GOVERNOR = {
+    enabled: true,
+    budget: 80, // ms per inference the governor tries to stay under
+    headroom: 0.6, // step back up once latency is below budget * headroom
+    modelHeadroom: 0.4, // the same for stepping up to a heavier model, which costs a reload
+    backoff: 60000, // ms a level that went over budget is kept out of reach
+    samples: 20, // latencies averaged before each decision
+    cooldown: 2000, // ms after a change before latency is judged again
+    warmup: 3, // inferences ignored after a change; the first ones compile shaders
+    scales: [1, 0.75, 0.5], // input downscale steps
+    frameRates: [30, 20, 15, 10], // target inference FPS steps
+};
+
+// Lighter variants the governor may fall back to, heaviest first. It never
+// picks a model heavier than the configured one.
+const MODEL_LADDERS = [
+    ["movenet-thunder", "movenet-lightning"],
+    ["blazepose-heavy", "blazepose-full", "blazepose-lite"],
+];
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Allowed values per setting, with how to describe them in an error.
+const CHECKS = {
+    enabled: [(value) => typeof value === "boolean", "true or false"],
+    budget: [(value) => isNumber(value) && value > 0, "a positive number of ms"],
+    headroom: [(value) => isNumber(value) && value > 0 && value <= 1, "a fraction between 0 and 1"],
+    modelHeadroom: [(value) => isNumber(value) && value > 0 && value <= 1, "a fraction between 0 and 1"],
+    backoff: [(value) => isNumber(value) && value >= 0, "0 or more ms"],
+    samples: [(value) => Number.isInteger(value) && value > 0, "a positive whole number"],
+    cooldown: [(value) => isNumber(value) && value >= 0, "0 or more ms"],
+    warmup: [(value) => Number.isInteger(value) && value >= 0, "0 or a positive whole number"],
+    scales: [
+        (value) => Array.isArray(value) && value.length > 0 && value.every((s) => isNumber(s) && s > 0 && s <= 1),
+        "a non-empty list of scales between 0 and 1",
+    ],
+    frameRates: [
+        (value) => Array.isArray(value) && value.length > 0 && value.every((fps) => isNumber(fps) && fps > 0),
+        "a non-empty list of positive frame rates",
+    ],
+};
+
+// Throws on the first invalid setting without applying anything.
+export const validateGovernor = (changes = {}) => {
+    for (const [key, [valid, expected]] of Object.entries(CHECKS)) {
+        if (changes[key] !== undefined && !valid(changes[key])) {
+            throw new Error(`Governor ${key} must be ${expected}, got ${JSON.stringify(changes[key])}`);
+        }
+    }
+};
+
+const buildLevels = (model, settings) => {
+    const ladder = MODEL_LADDERS.find((models) => models.includes(model));
+    const models = ladder ? ladder.slice(ladder.indexOf(model)) : [model];
+    let level = { scale: settings.scales[0], model, targetFps: settings.frameRates[0] };
+    const levels = [level];
+    for (const scale of settings.scales.slice(1)) levels.push((level = { ...level, scale }));
+    for (const lighter of models.slice(1)) levels.push((level = { ...level, model: lighter }));
+    for (const targetFps of settings.frameRates.slice(1)) levels.push((level = { ...level, targetFps }));
+    return levels;
+};
+
+export const createGovernor = (model, options = {}) => {
+    const settings = { ...DEFAULT_GOVERNOR, ...options };
+    let levels = buildLevels(model, settings);
+    let index = 0;
+    let samples = [];
+    let quietUntil = 0;
+    let warmup = settings.warmup;
+    let latency = 0;
+    // level index -> { latency, at, strikes }
+    let measured = new Map();
+
+    const current = () => levels[index];
+
+    const remember = (over, now) => {
+        const strikes = over ? (measured.get(index)?.strikes ?? 0) + 1 : 0;
+        measured.set(index, { latency, at: now, strikes });
+    };
+
+    // What `level` cost when it last ran, or null once that is too old to
+    // trust. Repeated failures keep a level's cost for longer.
+    const expectedLatency = (level, now) => {
+        const known = measured.get(level);
+        if (!known) return null;
+        const backoff = settings.backoff * 2 ** Math.min(Math.max(known.strikes - 1, 0), 4);
+        return now - known.at < backoff ? known.latency : null;
+    };
+
+    // Stepping up needs clear headroom now, and more of it when the step
+    // reloads the detector, and the level above must not be known to be over budget.
+    const canStepUp = (now) => {
+        if (index === 0) return false;
+        const above = levels[index - 1];
+        const headroom = above.model === current().model ? settings.headroom : settings.modelHeadroom;
+        const expected = expectedLatency(index - 1, now);
+        return latency < settings.budget * headroom && (expected === null || expected <= settings.budget);
+    };
+
+    const decision = (reason) => ({
+        ...current(),
+        level: index,
+        latency: Math.round(latency),
+        budget: settings.budget,
+        reason,
+    });
+
+    // Starts measuring afresh, e.g. once a new detector is running.
+    const restart = (now = performance.now()) => {
+        samples = [];
+        warmup = settings.warmup;
+        quietUntil = now + settings.cooldown;
+    };
+
+    const moveTo = (next, reason, now) => {
+        index = next;
+        restart(now);
+        return decision(reason);
+    };
+
+    // Feeds one inference latency; returns a decision when the level changed.
+    const record = (ms, now = performance.now()) => {
+        if (warmup > 0) {
+            warmup--;
+            return null;
+        }
+        samples.push(ms);
+        if (samples.length > settings.samples) samples.shift();
+        latency = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+        if (!settings.enabled || samples.length < settings.samples || now < quietUntil) {
+            return null;
+        }
+        if (latency > settings.budget && index < levels.length - 1) {
+            remember(true, now);
+            return moveTo(index + 1, "over budget", now);
+        }
+        if (canStepUp(now)) {
+            remember(false, now);
+            return moveTo(index - 1, "under budget", now);
+        }
+        return null;
+    };
+
+    // Frame gate for the target FPS; a disabled governor lets every frame through.
+    const admit = createRateLimiter(() => (settings.enabled ? current().targetFps : 0));
+
+    // The configured model changed: start again from the top of its ladder.
+    const setModel = (name, now = performance.now()) => {
+        levels = buildLevels(name, settings);
+        measured = new Map();
+        return moveTo(0, "model changed", now);
+    };
+
+    // e.g. { budget: 50 } or { enabled: false }. Disabling returns to full quality.
+    const configure = (changes = {}, now = performance.now()) => {
+        validateGovernor(changes);
+        for (const key of Object.keys(DEFAULT_GOVERNOR)) {
+            if (changes[key] !== undefined) settings[key] = changes[key];
+        }
+        levels = buildLevels(levels[0].model, settings);
+        measured = new Map();
+        return moveTo(settings.enabled ? Math.min(index, levels.length - 1) : 0, "configured", now);
+    };
+
+    return { current, record, admit, restart, setModel, configure, state: () => decision("current") };
+};
@@ -0,0 +1,129 @@
+// Lifts a 2D foot position onto the AR ground plane. app.js publishes the
+// A-Frame camera (`arcameraupdate`) and every marker (`armarkerupdate`) each
+// frame; the foot's screen point is cast as a ray from the camera and
+// intersected with the plane of the ground marker.
+//
+// Matrices are THREE.js `elements` arrays (column-major). Results use Unity's
+// axes, matching what markercontroller sends to DetectionManager.
+
+const invert = (m) => {
+    const [a00, a01, a02, a03, a10, a11, a12, a13, a20, a21, a22, a23, a30, a31, a32, a33] = m;
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+    const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (!det) return null;
+    const d = 1 / det;
+    return [
+        (a11 * b11 - a12 * b10 + a13 * b09) * d,
+        (a02 * b10 - a01 * b11 - a03 * b09) * d,
+        (a31 * b05 - a32 * b04 + a33 * b03) * d,
+        (a22 * b04 - a21 * b05 - a23 * b03) * d,
+        (a12 * b08 - a10 * b11 - a13 * b07) * d,
+        (a00 * b11 - a02 * b08 + a03 * b07) * d,
+        (a32 * b02 - a30 * b05 - a33 * b01) * d,
+        (a20 * b05 - a22 * b02 + a23 * b01) * d,
+        (a10 * b10 - a11 * b08 + a13 * b06) * d,
+        (a01 * b08 - a00 * b10 - a03 * b06) * d,
+        (a30 * b04 - a31 * b02 + a33 * b00) * d,
+        (a21 * b02 - a20 * b04 - a23 * b00) * d,
+        (a11 * b07 - a10 * b09 - a12 * b06) * d,
+        (a00 * b09 - a01 * b07 + a02 * b06) * d,
+        (a31 * b01 - a30 * b03 - a32 * b00) * d,
+        (a20 * b03 - a21 * b01 + a22 * b00) * d,
+    ];
+};
+
+const multiply = (a, b) => {
+    const out = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+};
+
+// Applies `m` to a point, with the perspective divide.
+const transformPoint = (m, [x, y, z]) => {
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    return [
+        (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+        (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+        (m[2] * x + m[6] * y + m[10] * z + m[14]) / w,
+    ];
+};
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+// `marker` names the markercontroller to use as the ground; by default the
+// first visible one.
+export const createGroundProjector = ({ marker = null } = {}, target = window) => {
+    let camera = null;
+    const markers = new Map();
+    let groundName = marker;
+
+    target.addEventListener("arcameraupdate", ({ detail }) => {
+        camera = { matrixWorld: detail.matrixWorld, projection: detail.projection, unproject: null };
+    });
+    target.addEventListener("armarkerupdate", ({ detail }) => {
+        markers.set(detail.name, detail);
+    });
+
+    const groundMarker = () => {
+        const ground = groundName ? markers.get(groundName) : [...markers.values()].find((m) => m.visible);
+        return ground?.visible ? ground : null;
+    };
+
+    const isAvailable = () => Boolean(camera && groundMarker());
+
+    // (x, y) is normalized to the camera view, y down. Returns { x, y, z } in
+    // Unity world space, or null when there is no camera or visible ground
+    // marker, or the ray misses the plane (pointing at or above the horizon).
+    const project = (x, y) => {
+        const ground = groundMarker();
+        if (!camera || !ground) return null;
+
+        // Clip space -> world space, cached until the camera moves.
+        camera.unproject ??= (() => {
+            const inverseProjection = invert(camera.projection);
+            return inverseProjection && multiply(camera.matrixWorld, inverseProjection);
+        })();
+        if (!camera.unproject) return null;
+
+        const ndc = [x * 2 - 1, 1 - y * 2];
+        const near = transformPoint(camera.unproject, [...ndc, -1]);
+        const far = transformPoint(camera.unproject, [...ndc, 1]);
+        const direction = sub(far, near);
+
+        // The marker's local Y axis is the plane normal.
+        const m = ground.matrixWorld;
+        const origin = [m[12], m[13], m[14]];
+        const normal = [m[4], m[5], m[6]];
+        const denominator = dot(direction, normal);
+        if (Math.abs(denominator) < 1e-9) return null;
+        const t = dot(sub(origin, near), normal) / denominator;
+        if (t < 0) return null;
+
+        const [px, py, pz] = [0, 1, 2].map((i) => near[i] + direction[i] * t);
+        return { x: px, y: py, z: -pz };
+    };
+
+    const setMarker = (name) => {
+        groundName = name;
+    };
+
+    return { project, isAvailable, setMarker, marker: () => groundMarker()?.name ?? null };
+};
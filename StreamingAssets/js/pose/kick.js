@@ -0,0 +1,136 @@
+import { FOOT_SIDES, findKeypoint } from "./feet.js";
+import { createMotionEstimator } from "./motion.js";
+
+// Speeds are in normalized screen units per second, angles in degrees, times in ms.
+const DEFAULTS = {
+    minScore: 0.3,
+    windupKneeAngle: 150, // knee bent tighter than this counts as wind-up
+    extendedKneeAngle: 160, // knee straighter than this ends the strike
+    windupRelease: 10, // opening from the most-bent wind-up angle that counts as extending
+    strikeSpeed: 1.2,
+    velocityWindow: 100, // shorter than the forwarded samples' window so strike peaks survive
+    windupTimeout: 1000,
+    strikeTimeout: 400,
+    cooldown: 350,
+};
+
+// Angle at the knee between thigh and shin, measured in pixels so the
+// frame's aspect ratio doesn't skew it.
+const kneeAngle = (hip, knee, ankle) => {
+    const ax = hip.x - knee.x;
+    const ay = hip.y - knee.y;
+    const bx = ankle.x - knee.x;
+    const by = ankle.y - knee.y;
+    const cos = (ax * bx + ay * by) / (Math.hypot(ax, ay) * Math.hypot(bx, by) || 1);
+    return (Math.acos(Math.min(1, Math.max(-1, cos))) * 180) / Math.PI;
+};
+
+// Per-leg state machine: idle -> windup -> strike -> cooldown. A strike
+// that was not preceded by a wind-up still counts, with lower confidence.
+export const createKickDetector = (options = {}) => {
+    const settings = { ...DEFAULTS, ...options };
+    const legs = Object.fromEntries(
+        FOOT_SIDES.map((side) => [
+            side,
+            { phase: "idle", last: null, motion: createMotionEstimator({ windowMs: settings.velocityWindow }) },
+        ]),
+    );
+
+    const enter = (leg, phase, t) => {
+        leg.phase = phase;
+        leg.phaseStart = t;
+    };
+
+    const finishStrike = (leg, side, t) => {
+        const { peak } = leg;
+        enter(leg, "cooldown", t);
+        const confidence =
+            leg.score * (leg.windup ? 1 : 0.7) * Math.min(1, peak.speed / (2 * settings.strikeSpeed));
+        return {
+            foot: side,
+            velocity: { x: peak.vx, y: peak.vy },
+            direction: { x: peak.vx / peak.speed, y: peak.vy / peak.speed },
+            speed: peak.speed,
+            confidence,
+            timestamp: t,
+        };
+    };
+
+    const updateLeg = (side, keypoints, width, height, t) => {
+        const leg = legs[side];
+        const hip = findKeypoint(keypoints, `${side}_hip`);
+        const knee = findKeypoint(keypoints, `${side}_knee`);
+        const ankle = findKeypoint(keypoints, `${side}_ankle`);
+
+        if ([hip, knee, ankle].some((k) => (k?.score ?? 0) < settings.minScore)) {
+            leg.phase = "idle";
+            leg.last = null;
+            leg.motion.reset();
+            return null;
+        }
+
+        const sample = {
+            x: ankle.x / width,
+            y: ankle.y / height,
+            angle: kneeAngle(hip, knee, ankle),
+            t,
+        };
+        const { last } = leg;
+        leg.last = sample;
+        const { vx, vy } = leg.motion.update(sample.x, sample.y, t);
+        if (!last || t <= last.t) return null;
+
+        const speed = Math.hypot(vx, vy);
+        // After a wind-up, compare against the most-bent angle: the fitted
+        // velocity lags a frame or two behind the knee opening.
+        const extending =
+            leg.phase === "windup"
+                ? sample.angle > leg.minAngle + settings.windupRelease
+                : sample.angle > last.angle;
+        const striking = speed > settings.strikeSpeed && extending;
+
+        switch (leg.phase) {
+            case "cooldown":
+                if (t - leg.phaseStart > settings.cooldown) enter(leg, "idle", t);
+                break;
+            case "idle":
+            case "windup":
+                if (striking) {
+                    leg.windup = leg.phase === "windup";
+                    leg.peak = { vx, vy, speed };
+                    leg.score = (hip.score + knee.score + ankle.score) / 3;
+                    enter(leg, "strike", t);
+                } else if (leg.phase === "idle") {
+                    if (sample.angle < settings.windupKneeAngle) {
+                        leg.minAngle = sample.angle;
+                        enter(leg, "windup", t);
+                    }
+                } else if (t - leg.phaseStart > settings.windupTimeout) {
+                    enter(leg, "idle", t);
+                } else {
+                    leg.minAngle = Math.min(leg.minAngle, sample.angle);
+                }
+                break;
+            case "strike":
+                if (speed > leg.peak.speed) {
+                    leg.peak = { vx, vy, speed };
+                }
+                // Follow-through: the foot slows down or the leg locks out.
+                if (
+                    speed < leg.peak.speed / 2 ||
+                    sample.angle >= settings.extendedKneeAngle ||
+                    t - leg.phaseStart > settings.strikeTimeout
+                ) {
+                    return finishStrike(leg, side, t);
+                }
+                break;
+        }
+        return null;
+    };
+
+    // Returns the kicks completed on this frame (usually none).
+    const update = (keypoints, width, height, t) =>
+        FOOT_SIDES.map((side) => updateLeg(side, keypoints, width, height, t)).filter(Boolean);
+
+    return { update };
+};
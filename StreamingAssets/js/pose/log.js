@@ -0,0 +1,135 @@
+// Leveled, tagged logging for the pose modules. Each module creates its own
+// logger: `const log = createLogger("camera"); log.warn("Frame failed", error);`
+//
+// Messages should be stable strings with the changing values passed as extra
+// arguments, since rate limiting groups entries by tag and message.
+//
+// Entries at or above `level` go to the console; entries at or above
+// `bufferLevel` are kept in a ring buffer that Unity can fetch for bug reports.
+// Only warnings and errors are printed unless the tracker is configured with
+// a lower `logLevel` (or ?debug is in the URL).
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "off"];
+
+const CONSOLE_METHODS = { debug: "log", info: "info", warn: "warn", error: "error" };
+
+const settings = {
+    level: "warn",
+    bufferLevel: "info",
+    bufferSize: 500,
+    rateLimit: 10, // entries per tag and message within rateWindow
+    rateWindow: 1000,
+};
+
+const buffer = [];
+const rates = new Map();
+
+// Set inside the pose worker, where entries are posted to the main thread
+// instead of printed, so the buffer Unity fetches covers both sides.
+let forward = null;
+
+const rank = (level) => LOG_LEVELS.indexOf(level);
+
+const enabled = (level, threshold) => rank(level) >= rank(threshold) && threshold !== "off";
+
+const formatArg = (arg) => {
+    if (typeof arg === "string") return arg;
+    if (arg instanceof Error) return arg.stack ?? `${arg.name}: ${arg.message}`;
+    try {
+        return JSON.stringify(arg);
+    } catch {
+        return String(arg);
+    }
+};
+
+// Returns the number of entries suppressed since the last one let through,
+// or -1 when this entry is over the limit.
+const admit = (key, now) => {
+    let rate = rates.get(key);
+    if (!rate || now - rate.start >= settings.rateWindow) {
+        const suppressed = rate?.suppressed ?? 0;
+        rate = { start: now, count: 0, suppressed: 0 };
+        rates.set(key, rate);
+        rate.count++;
+        return suppressed;
+    }
+    if (rate.count >= settings.rateLimit) {
+        rate.suppressed++;
+        return -1;
+    }
+    rate.count++;
+    return 0;
+};
+
+const store = (entry) => {
+    if (!enabled(entry.level, settings.bufferLevel)) return;
+    buffer.push(entry);
+    if (buffer.length > settings.bufferSize) {
+        buffer.splice(0, buffer.length - settings.bufferSize);
+    }
+};
+
+const print = (entry, args) => {
+    if (!enabled(entry.level, settings.level)) return;
+    const note = entry.suppressed ? [`(${entry.suppressed} similar suppressed)`] : [];
+    console[CONSOLE_METHODS[entry.level]](`[${entry.tag}]`, ...(args ?? [entry.text]), ...note);
+};
+
+const write = (level, tag, message, args) => {
+    if (!enabled(level, settings.level) && !enabled(level, settings.bufferLevel)) return;
+    const suppressed = admit(`${tag}|${message}`, performance.now());
+    if (suppressed < 0) return;
+
+    // Only entries that leave the console call get flattened to text.
+    const entry = { time: Date.now(), level, tag, text: "", suppressed };
+    if (forward || enabled(level, settings.bufferLevel)) {
+        entry.text = [message, ...args].map(formatArg).join(" ");
+    }
+    if (forward) {
+        forward(entry);
+        return;
+    }
+    store(entry);
+    print(entry, [message, ...args]);
+};
+
+export const createLogger = (tag) => ({
+    debug: (message, ...args) => write("debug", tag, message, args),
+    info: (message, ...args) => write("info", tag, message, args),
+    warn: (message, ...args) => write("warn", tag, message, args),
+    error: (message, ...args) => write("error", tag, message, args),
+});
+
+// e.g. { level: "debug", bufferLevel: "debug", bufferSize: 1000 }
+export const configureLogging = (update = {}) => {
+    for (const key of ["level", "bufferLevel"]) {
+        if (update[key] !== undefined && !LOG_LEVELS.includes(update[key])) {
+            throw new Error(`Unknown log level "${update[key]}"`);
+        }
+    }
+    for (const key of Object.keys(settings)) {
+        if (update[key] !== undefined) settings[key] = update[key];
+    }
+    return getLogSettings();
+};
+
+export const getLogSettings = () => ({ ...settings });
+
+export const forwardLogs = (post) => {
+    forward = post;
+};
+
+// Main-thread end of forwardLogs.
+export const receiveLogEntry = (entry) => {
+    store(entry);
+    print(entry);
+};
+
+// Oldest first, one line per entry.
+export const getLogBuffer = () =>
+    buffer
+        .map(({ time, level, tag, text, suppressed }) => {
+            const note = suppressed ? ` (${suppressed} similar suppressed)` : "";
+            return `${new Date(time).toISOString()} ${level.toUpperCase()} [${tag}] ${text}${note}`;
+        })
+        .join("\n");
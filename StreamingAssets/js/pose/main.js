@@ -0,0 +1,9 @@
+import { createFootTracker } from "./foot-tracker.js";
+
+// The page's one tracker. OpenCVJS.js (root and StreamingAssets) and
+// pose-tracker.js all re-export this module, which the browser evaluates only
+// once, so loading several of them still starts a single detector. Per-build
+// settings come from index.html's window.footTrackerConfig, nowhere else.
+export const footTracker = createFootTracker(window.footTrackerConfig);
+
+footTracker.install();
@@ -0,0 +1,67 @@
+// Performance numbers for the in-game perf HUD. Timings (decode, inference,
+// end-to-end) are aggregated per snapshot; gauges (backend, tensor count, ...)
+// are reported as last set.
+
+// `object` null means no snapshots are sent; Unity warns about messages to
+// GameObjects without a receiver, so the HUD has to opt in.
+export const DEFAULT_METRICS = { object: null, method: "OnFootTrackerMetrics", interval: 1000 };
+
+// Throws on the first invalid setting without applying anything.
+export const validateMetrics = ({ object, method, interval } = {}) => {
+    if (object != null && (typeof object !== "string" || !object)) {
+        throw new Error(`Metrics object must be a GameObject name or null, got ${JSON.stringify(object)}`);
+    }
+    if (method !== undefined && (typeof method !== "string" || !method)) {
+        throw new Error(`Metrics method must be a method name, got ${JSON.stringify(method)}`);
+    }
+    if (interval !== undefined && !(typeof interval === "number" && interval >= 100)) {
+        throw new Error(`Metrics interval must be at least 100 ms, got ${JSON.stringify(interval)}`);
+    }
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Chrome only; other browsers don't expose the JS heap.
+const heapUsage = () => {
+    const memory = performance.memory;
+    if (!memory) return null;
+    return { used: memory.usedJSHeapSize, total: memory.totalJSHeapSize, limit: memory.jsHeapSizeLimit };
+};
+
+export const createMetrics = () => {
+    const timings = new Map();
+    const gauges = {};
+    let since = performance.now();
+
+    const time = (name, ms) => {
+        const timing = timings.get(name) ?? { count: 0, total: 0, max: 0 };
+        timing.count++;
+        timing.total += ms;
+        timing.max = Math.max(timing.max, ms);
+        timings.set(name, timing);
+    };
+
+    const set = (name, value) => {
+        gauges[name] = value;
+    };
+
+    // The numbers since the previous snapshot; timings start over afterwards.
+    // Each timing is { avg, max, perSecond } in ms and events per second.
+    const snapshot = (now = performance.now()) => {
+        const elapsed = now - since;
+        const result = { interval: Math.round(elapsed), heap: heapUsage(), ...gauges };
+        for (const [name, timing] of timings) {
+            const { count, total, max } = timing;
+            result[name] = {
+                avg: count ? round(total / count) : null,
+                max: round(max),
+                perSecond: elapsed > 0 ? round((count * 1000) / elapsed) : 0,
+            };
+            Object.assign(timing, { count: 0, total: 0, max: 0 });
+        }
+        since = now;
+        return result;
+    };
+
+    return { time, set, snapshot };
+};
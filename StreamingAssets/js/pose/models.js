@@ -0,0 +1,71 @@
+import { createLogger } from "./log.js";
+
+const log = createLogger("models");
+
+export const DEFAULT_MODEL = "movenet-thunder";
+
+// Factories take { enableSmoothing }, the detector's own temporal smoothing.
+const movenet = (modelType) => ({ enableSmoothing = true } = {}) =>
+    poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+        modelType: poseDetection.movenet.modelType[modelType],
+        enableSmoothing,
+    });
+
+// Up to six people; the bounding-box tracker gives each pose an `id` that survives across frames.
+const movenetMultiPose = ({ enableSmoothing = true } = {}) =>
+    poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+        modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+        enableSmoothing,
+        enableTracking: true,
+        trackerType: poseDetection.TrackerType.BoundingBox,
+    });
+
+const blazepose = (modelType) => ({ enableSmoothing = true } = {}) =>
+    poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+        runtime: "tfjs",
+        modelType,
+        enableSmoothing,
+    });
+
+const posenet = () =>
+    poseDetection.createDetector(poseDetection.SupportedModels.PoseNet, {
+        architecture: "MobileNetV1",
+        outputStride: 16,
+        inputResolution: { width: 257, height: 257 },
+        multiplier: 0.75,
+    });
+
+// Model name -> detector factory. Names are what Unity and ?poseModel= use.
+const registry = new Map([
+    ["movenet-lightning", { create: movenet("SINGLEPOSE_LIGHTNING"), multiPose: false }],
+    ["movenet-thunder", { create: movenet("SINGLEPOSE_THUNDER"), multiPose: false }],
+    ["movenet-multipose", { create: movenetMultiPose, multiPose: true }],
+    ["blazepose-lite", { create: blazepose("lite"), multiPose: false }],
+    ["blazepose-full", { create: blazepose("full"), multiPose: false }],
+    ["blazepose-heavy", { create: blazepose("heavy"), multiPose: false }],
+    ["posenet", { create: posenet, multiPose: false }],
+]);
+
+export const listPoseModels = () => [...registry.keys()];
+
+// URL parameter first, so a device can be tested without touching the build.
+// Unknown names are skipped, so the result is always a registered model.
+export const resolveModelName = (configured) => {
+    const fromUrl = new URLSearchParams(window.location.search).get("poseModel");
+    for (const [name, source] of [[fromUrl, "?poseModel"], [configured, "configured model"]]) {
+        if (name == null) continue;
+        if (registry.has(name)) return name;
+        log.warn("Unknown pose model, ignoring it", source, name);
+    }
+    return DEFAULT_MODEL;
+};
+
+export const createPoseDetector = async (name, options = {}) => {
+    if (!registry.has(name)) {
+        log.warn("Unknown pose model, using the default", name, DEFAULT_MODEL);
+        name = DEFAULT_MODEL;
+    }
+    const { create, multiPose } = registry.get(name);
+    const detector = await create(options);
+    return { name, detector, multiPose };
+};
@@ -0,0 +1,58 @@
+import { FOOT_SIDES } from "./feet.js";
+
+// Least-squares slope of values over time (seconds); 0 with fewer than two samples.
+const slope = (samples, key) => {
+    if (samples.length < 2) return 0;
+    const meanT = samples.reduce((sum, s) => sum + s.t, 0) / samples.length;
+    const meanV = samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+    let num = 0;
+    let den = 0;
+    for (const s of samples) {
+        num += (s.t - meanT) * (s[key] - meanV);
+        den += (s.t - meanT) ** 2;
+    }
+    return den > 0 ? num / den : 0;
+};
+
+// Velocity is fitted over the positions in the window and acceleration over
+// the fitted velocities, which filters out most per-frame keypoint noise.
+// Units: normalized screen units per second (and per second squared).
+export const createMotionEstimator = ({ windowMs = 150 } = {}) => {
+    let positions = [];
+    let velocities = [];
+
+    const trim = (samples, t) => samples.filter((s) => t - s.t <= windowMs / 1000);
+
+    const update = (x, y, timestamp) => {
+        const t = timestamp / 1000;
+        positions = trim([...positions, { t, x, y }], t);
+        const vx = slope(positions, "x");
+        const vy = slope(positions, "y");
+        velocities = trim([...velocities, { t, x: vx, y: vy }], t);
+        return { vx, vy, ax: slope(velocities, "x"), ay: slope(velocities, "y") };
+    };
+
+    const reset = () => {
+        positions = [];
+        velocities = [];
+    };
+
+    return { update, reset };
+};
+
+// Adds velocity and acceleration to both (timestamped) foot samples. Hidden
+// feet reset their window so a reappearing ankle doesn't produce a spike.
+export const trackFootMotion = (feet, state) => {
+    state.motion ??= Object.fromEntries(FOOT_SIDES.map((side) => [side, createMotionEstimator()]));
+    for (const side of FOOT_SIDES) {
+        const foot = feet[side];
+        const estimator = state.motion[side];
+        if (foot.visible) {
+            Object.assign(foot, estimator.update(foot.x, foot.y, foot.t));
+        } else {
+            estimator.reset();
+            Object.assign(foot, { vx: 0, vy: 0, ax: 0, ay: 0 });
+        }
+    }
+    return feet;
+};
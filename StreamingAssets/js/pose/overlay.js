@@ -0,0 +1,204 @@
+// On-device debug view: the frame the detector saw, its skeleton, the foot
+// picks with their scores, the score threshold and the inference rate, drawn
+// on a canvas laid over the Unity canvas. Hidden by default; nothing is
+// created or drawn until show() is called.
+
+// Edges by keypoint name, so MoveNet, PoseNet and BlazePose all work. Pairs
+// whose keypoints the model doesn't have (heel, foot_index) are skipped.
+const SKELETON_EDGES = [
+    ["left_ear", "left_eye"],
+    ["left_eye", "nose"],
+    ["nose", "right_eye"],
+    ["right_eye", "right_ear"],
+    ["left_shoulder", "right_shoulder"],
+    ["left_shoulder", "left_elbow"],
+    ["left_elbow", "left_wrist"],
+    ["right_shoulder", "right_elbow"],
+    ["right_elbow", "right_wrist"],
+    ["left_shoulder", "left_hip"],
+    ["right_shoulder", "right_hip"],
+    ["left_hip", "right_hip"],
+    ["left_hip", "left_knee"],
+    ["left_knee", "left_ankle"],
+    ["right_hip", "right_knee"],
+    ["right_knee", "right_ankle"],
+    ["left_ankle", "left_heel"],
+    ["left_heel", "left_foot_index"],
+    ["left_ankle", "left_foot_index"],
+    ["right_ankle", "right_heel"],
+    ["right_heel", "right_foot_index"],
+    ["right_ankle", "right_foot_index"],
+];
+
+const FOOT_COLORS = { left: "#00c8ff", right: "#ff8c00" };
+const FRAME_ALPHA = 0.6; // keeps the game visible underneath
+const FPS_SMOOTHING = 0.1;
+
+export const createDebugOverlay = (unityCanvas = () => document.querySelector("#unity-canvas")) => {
+    let canvas = null;
+    let context = null;
+    let visible = false;
+    let lastDrawAt = 0;
+    let fps = 0;
+
+    const attach = () => {
+        canvas = document.createElement("canvas");
+        canvas.id = "foot-debug-overlay";
+        canvas.style.cssText = "position: fixed; pointer-events: none; z-index: 10;";
+        document.body.appendChild(canvas);
+        context = canvas.getContext("2d");
+    };
+
+    // Follows the Unity canvas, which moves and resizes with the page.
+    const fitToUnityCanvas = () => {
+        const rect = unityCanvas()?.getBoundingClientRect() ?? {
+            left: 0,
+            top: 0,
+            width: window.innerWidth,
+            height: window.innerHeight,
+        };
+        Object.assign(canvas.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+        });
+        // Assigning the size reallocates the canvas, so only do it on a change.
+        if (canvas.width !== Math.round(rect.width) || canvas.height !== Math.round(rect.height)) {
+            canvas.width = Math.round(rect.width);
+            canvas.height = Math.round(rect.height);
+        }
+    };
+
+    const show = () => {
+        if (!canvas) attach();
+        canvas.style.display = "block";
+        visible = true;
+        lastDrawAt = 0;
+    };
+
+    const hide = () => {
+        visible = false;
+        if (canvas) canvas.style.display = "none";
+    };
+
+    const setVisible = (value) => (value ? show() : hide());
+
+    const drawSkeleton = (keypoints, sx, sy, threshold) => {
+        const byName = new Map(keypoints.filter((k) => k.name).map((k) => [k.name, k]));
+        context.lineWidth = 2;
+        context.strokeStyle = "rgba(255, 255, 255, 0.8)";
+        for (const [a, b] of SKELETON_EDGES) {
+            const from = byName.get(a);
+            const to = byName.get(b);
+            if (!from || !to || (from.score ?? 0) < threshold || (to.score ?? 0) < threshold) continue;
+            context.beginPath();
+            context.moveTo(from.x * sx, from.y * sy);
+            context.lineTo(to.x * sx, to.y * sy);
+            context.stroke();
+        }
+        for (const keypoint of keypoints) {
+            context.fillStyle = (keypoint.score ?? 0) >= threshold ? "#3cff3c" : "#ff3c3c";
+            context.beginPath();
+            context.arc(keypoint.x * sx, keypoint.y * sy, 3, 0, Math.PI * 2);
+            context.fill();
+        }
+    };
+
+    // Predicted feet are drawn hollow; the dominant foot gets a larger ring.
+    const drawFoot = (foot, dominant, label) => {
+        if (!foot.visible) return;
+        const x = foot.x * canvas.width;
+        const y = foot.y * canvas.height;
+        context.strokeStyle = context.fillStyle = FOOT_COLORS[foot.side];
+        context.lineWidth = 3;
+        context.beginPath();
+        context.arc(x, y, dominant ? 14 : 9, 0, Math.PI * 2);
+        if (foot.predicted) context.stroke();
+        else context.fill();
+        context.font = "12px monospace";
+        const text = `${label}${foot.side} ${foot.score.toFixed(2)}${foot.predicted ? " (pred)" : ""}`;
+        context.fillText(text, x + 16, y + 4);
+    };
+
+    // One bar per foot and player; the white line marks the threshold.
+    // Returns the y coordinate below the last bar.
+    const drawScores = (players, threshold) => {
+        const width = 120;
+        const rowHeight = 14;
+        let y = 30;
+        context.font = "11px monospace";
+        for (const { id, feet } of players) {
+            for (const side of ["left", "right"]) {
+                const foot = feet[side];
+                context.fillStyle = "rgba(0, 0, 0, 0.5)";
+                context.fillRect(8, y, width, rowHeight - 2);
+                context.fillStyle = FOOT_COLORS[side];
+                context.fillRect(8, y, width * foot.score, rowHeight - 2);
+                context.fillStyle = "#ffffff";
+                context.fillText(`${id ? `P${id} ` : ""}${side}`, width + 14, y + 10);
+                y += rowHeight;
+            }
+        }
+        context.strokeStyle = "#ffffff";
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(8 + width * threshold, 28);
+        context.lineTo(8 + width * threshold, y);
+        context.stroke();
+        return y;
+    };
+
+    // `image` is an ImageBitmap of the processed frame (closed here) or null.
+    // `poses` and the crop `region` are in frame pixels; the feet in `players`
+    // ([{ id, feet, dominant }]) are normalized. `status` is shown as extra text lines.
+    const draw = ({ image, width, height, poses, players, region = null, threshold, status = {} }) => {
+        if (!visible) {
+            image?.close();
+            return;
+        }
+        const now = performance.now();
+        if (lastDrawAt) {
+            fps += (1000 / (now - lastDrawAt) - fps) * FPS_SMOOTHING;
+        }
+        lastDrawAt = now;
+
+        fitToUnityCanvas();
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (image) {
+            context.globalAlpha = FRAME_ALPHA;
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            context.globalAlpha = 1;
+            image.close();
+        }
+
+        const sx = canvas.width / width;
+        const sy = canvas.height / height;
+        if (region) {
+            context.strokeStyle = "#ffff00";
+            context.lineWidth = 1;
+            context.setLineDash([6, 4]);
+            context.strokeRect(region.x * sx, region.y * sy, region.width * sx, region.height * sy);
+            context.setLineDash([]);
+        }
+        for (const pose of poses) {
+            drawSkeleton(pose.keypoints, sx, sy, threshold);
+        }
+        for (const { id, feet, dominant } of players) {
+            for (const side of ["left", "right"]) {
+                drawFoot(feet[side], side === dominant, id ? `P${id} ` : "");
+            }
+        }
+        let y = drawScores(players, threshold) + 16;
+
+        context.fillStyle = "#ffffff";
+        context.font = "14px monospace";
+        context.fillText(`${fps.toFixed(1)} fps  threshold ${threshold}`, 8, 18);
+        for (const [key, value] of Object.entries(status)) {
+            context.fillText(`${key}: ${value}`, 8, y);
+            y += 16;
+        }
+    };
+
+    return { show, hide, setVisible, isVisible: () => visible, draw };
+};
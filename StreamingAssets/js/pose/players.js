@@ -0,0 +1,84 @@
+// Maps detector poses onto small, stable player IDs (1..maxPlayers).
+// MoveNet's tracker ids keep growing as people leave and re-enter, so we
+// match on them first and fall back to the nearest body centre.
+
+const MATCH_DISTANCE = 0.2; // normalized units
+
+const poseCenter = (pose, width, height) => {
+    if (pose.box) {
+        return {
+            x: (pose.box.xMin + pose.box.xMax) / 2,
+            y: (pose.box.yMin + pose.box.yMax) / 2,
+        };
+    }
+    const visible = pose.keypoints.filter((k) => (k.score ?? 0) > 0.2);
+    const points = visible.length > 0 ? visible : pose.keypoints;
+    return {
+        x: points.reduce((sum, k) => sum + k.x, 0) / points.length / width,
+        y: points.reduce((sum, k) => sum + k.y, 0) / points.length / height,
+    };
+};
+
+export const createPlayerTracker = ({ maxPlayers = 6, maxMissedFrames = 15 } = {}) => {
+    let players = [];
+
+    const freeId = () => {
+        for (let id = 1; id <= maxPlayers; id++) {
+            if (!players.some((p) => p.id === id)) return id;
+        }
+        return null;
+    };
+
+    const nearest = (center, candidates) => {
+        let best = null;
+        let bestDistance = MATCH_DISTANCE;
+        for (const player of candidates) {
+            const distance = Math.hypot(player.center.x - center.x, player.center.y - center.y);
+            if (distance < bestDistance) {
+                best = player;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    };
+
+    // Returns [{ id, pose, state }] sorted by player id; `state` is a scratch
+    // object that lives as long as the player and holds per-player history.
+    const update = (poses, width, height) => {
+        const unmatched = new Set(players);
+        const assigned = [];
+
+        for (const pose of poses) {
+            const center = poseCenter(pose, width, height);
+            let player = [...unmatched].find((p) => pose.id != null && p.trackId === pose.id);
+            player ??= nearest(center, unmatched);
+
+            if (!player) {
+                const id = freeId();
+                if (id === null) continue;
+                player = { id, state: {} };
+                players.push(player);
+            } else {
+                unmatched.delete(player);
+            }
+
+            player.trackId = pose.id;
+            player.center = center;
+            player.missed = 0;
+            assigned.push({ id: player.id, pose, state: player.state });
+        }
+
+        for (const player of unmatched) {
+            player.missed++;
+        }
+        players = players.filter((p) => p.missed <= maxMissedFrames);
+
+        return assigned.sort((a, b) => a.id - b.id);
+    };
+
+    const reset = () => {
+        players = [];
+    };
+
+    return { update, reset };
+};
@@ -0,0 +1,43 @@
+// Module worker running the detector off the main thread. The UMD bundles
+// attach `tf` and `poseDetection` to the worker global; keep the versions in
+// sync with the <script> tags in index.html.
+import "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core@3.14.0/dist/tf-core.min.js";
+import "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter@3.14.0/dist/tf-converter.min.js";
+import "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@3.14.0/dist/tf-backend-webgl.min.js";
+import "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@3.14.0/dist/tf-backend-wasm.min.js";
+import "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-cpu@3.14.0/dist/tf-backend-cpu.min.js";
+import "https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.3/dist/pose-detection.min.js";
+import { createEstimator } from "./estimator.js";
+import { configureLogging, forwardLogs } from "./log.js";
+
+const estimator = createEstimator();
+
+forwardLogs((entry) => self.postMessage({ type: "log", entry }));
+
+const errorMessage = (error) => String(error?.message ?? error);
+
+self.onmessage = async ({ data }) => {
+    switch (data.type) {
+        case "init":
+            configureLogging(data.logging);
+            try {
+                self.postMessage({ type: "ready", ...(await estimator.init(data.model, data.modelOptions)) });
+            } catch (error) {
+                self.postMessage({ type: "failed", error: errorMessage(error) });
+            }
+            break;
+        case "estimate":
+            try {
+                self.postMessage({ type: "result", id: data.id, ...(await estimator.estimate(data.frame)) });
+            } catch (error) {
+                self.postMessage({ type: "result", id: data.id, error: errorMessage(error) });
+            }
+            break;
+        case "configure":
+            estimator.configure(data.options);
+            break;
+        case "logging":
+            configureLogging(data.logging);
+            break;
+    }
+};
@@ -0,0 +1,45 @@
+import { FOOT_SIDES } from "./feet.js";
+
+export const DEFAULT_PREDICTION = { maxPredictedFrames: 5 };
+
+// Bridges short occlusions: while a foot is hidden for at most
+// `maxPredictedFrames` frames it is extrapolated from its last velocity and
+// flagged `predicted`; after that it is reported lost once.
+// Returns the sides that were lost on this frame.
+export const predictFeet = (feet, state, settings = DEFAULT_PREDICTION) => {
+    state.prediction ??= Object.fromEntries(FOOT_SIDES.map((side) => [side, { last: null, missed: 0 }]));
+    const lost = [];
+
+    for (const side of FOOT_SIDES) {
+        const foot = feet[side];
+        const track = state.prediction[side];
+
+        if (foot.visible) {
+            track.last = { ...foot };
+            track.missed = 0;
+            continue;
+        }
+        if (!track.last) continue;
+
+        track.missed++;
+        if (track.missed > settings.maxPredictedFrames) {
+            track.last = null;
+            lost.push(side);
+            continue;
+        }
+
+        const { last } = track;
+        const dt = (foot.t - last.t) / 1000;
+        Object.assign(foot, {
+            x: Math.min(1, Math.max(0, last.x + last.vx * dt)),
+            y: Math.min(1, Math.max(0, last.y + last.vy * dt)),
+            vx: last.vx,
+            vy: last.vy,
+            ax: 0,
+            ay: 0,
+            visible: true,
+            predicted: true,
+        });
+    }
+    return lost;
+};
@@ -0,0 +1,14 @@
+// Lets calls through at up to `rate()` per second, read on every call so the
+// rate can change at runtime; 0 lets everything through. A little slack keeps
+// frame-timing jitter from halving the rate.
+export const createRateLimiter = (rate) => {
+    let last = -Infinity;
+    return (now = performance.now()) => {
+        const perSecond = rate();
+        if (perSecond > 0 && now - last < (1000 / perSecond) * 0.9) {
+            return false;
+        }
+        last = now;
+        return true;
+    };
+};
@@ -0,0 +1,109 @@
+// Region of interest around the last detected body, so the detector gets a
+// crop instead of the whole frame. The region is kept still while the body
+// stays well inside it; moving it means the detector's own smoothing state
+// (in crop coordinates) is stale, so callers reset the detector when
+// update() reports a change. Losing the body drops back to the full frame.
+
+export const DEFAULT_ROI = {
+    enabled: true,
+    margin: 0.3, // added around the body box on each side, as a fraction of its size
+    minScore: 0.3, // keypoints below this don't count towards the body box
+    minKeypoints: 5, // fewer confident keypoints than this means the body is lost
+    minSize: 0.3, // smallest region, as a fraction of the frame
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Allowed values per setting, with how to describe them in an error.
+const CHECKS = {
+    enabled: [(value) => typeof value === "boolean", "true or false"],
+    margin: [(value) => isNumber(value) && value >= 0, "0 or more"],
+    minScore: [(value) => isNumber(value) && value >= 0 && value <= 1, "between 0 and 1"],
+    minKeypoints: [(value) => Number.isInteger(value) && value > 0, "a positive whole number"],
+    minSize: [(value) => isNumber(value) && value > 0 && value <= 1, "a fraction between 0 and 1"],
+};
+
+// Throws on the first invalid setting without applying anything.
+export const validateRoi = (changes = {}) => {
+    for (const [key, [valid, expected]] of Object.entries(CHECKS)) {
+        if (changes[key] !== undefined && !valid(changes[key])) {
+            throw new Error(`ROI ${key} must be ${expected}, got ${JSON.stringify(changes[key])}`);
+        }
+    }
+};
+
+const bodyBox = (keypoints, settings) => {
+    const confident = keypoints.filter((k) => (k.score ?? 0) >= settings.minScore);
+    if (confident.length < settings.minKeypoints) return null;
+    const xs = confident.map((k) => k.x);
+    const ys = confident.map((k) => k.y);
+    return { xMin: Math.min(...xs), yMin: Math.min(...ys), xMax: Math.max(...xs), yMax: Math.max(...ys) };
+};
+
+// Grows [min, max] by `margin`, to at least `minLength`, kept inside [0, limit].
+const span = (min, max, margin, minLength, limit) => {
+    const grow = (max - min) * margin;
+    let from = min - grow;
+    let to = max + grow;
+    if (to - from < minLength) {
+        const center = (from + to) / 2;
+        from = center - minLength / 2;
+        to = center + minLength / 2;
+    }
+    from = Math.max(0, Math.floor(from));
+    to = Math.min(limit, Math.ceil(to));
+    return [from, to - from];
+};
+
+// True when `box` is inside `region` with at least half the margin to spare.
+const fits = (box, region, margin) => {
+    const padX = ((box.xMax - box.xMin) * margin) / 2;
+    const padY = ((box.yMax - box.yMin) * margin) / 2;
+    return (
+        box.xMin - padX >= region.x &&
+        box.yMin - padY >= region.y &&
+        box.xMax + padX <= region.x + region.width &&
+        box.yMax + padY <= region.y + region.height
+    );
+};
+
+export const createRoiTracker = (options = {}) => {
+    const settings = { ...DEFAULT_ROI, ...options };
+    let region = null;
+
+    // { x, y, width, height } in frame pixels, or null for the full frame.
+    const current = () => (settings.enabled ? region : null);
+
+    // Feeds back the full-frame keypoints of the frame just processed.
+    // Returns true when the region changed.
+    const update = (keypoints, width, height) => {
+        const box = settings.enabled ? bodyBox(keypoints, settings) : null;
+        if (!box) {
+            const changed = region !== null;
+            region = null;
+            return changed;
+        }
+        if (region && fits(box, region, settings.margin)) {
+            return false;
+        }
+        const [x, regionWidth] = span(box.xMin, box.xMax, settings.margin, width * settings.minSize, width);
+        const [y, regionHeight] = span(box.yMin, box.yMax, settings.margin, height * settings.minSize, height);
+        region = { x, y, width: regionWidth, height: regionHeight };
+        return true;
+    };
+
+    // e.g. { enabled: false } or { margin: 0.5 }
+    const configure = (changes = {}) => {
+        validateRoi(changes);
+        for (const key of Object.keys(DEFAULT_ROI)) {
+            if (changes[key] !== undefined) settings[key] = changes[key];
+        }
+        if (!settings.enabled) region = null;
+    };
+
+    const reset = () => {
+        region = null;
+    };
+
+    return { current, update, configure, reset, settings: () => ({ ...settings }) };
+};
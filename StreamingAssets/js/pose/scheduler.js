@@ -0,0 +1,58 @@
+import { createLogger } from "./log.js";
+
+// Single-flight frame scheduler: at most one frame is being processed and at
+// most one waits behind it. A newer frame replaces the waiting one, so slow
+// inference drops stale frames instead of piling up out-of-order results.
+//
+// `process(frame, seq, capturedAt)` starts synchronously when the scheduler is
+// idle, which lets callers consume short-lived buffers before their first await.
+const log = createLogger("scheduler");
+
+export const createFrameScheduler = (process, { onStats, statsInterval = 1000 } = {}) => {
+    const stats = { received: 0, processed: 0, dropped: 0, failed: 0, lastSeq: 0 };
+    let seq = 0;
+    let pending = null;
+    let busy = false;
+    let lastReport = 0;
+
+    const report = () => {
+        const now = performance.now();
+        if (onStats && now - lastReport >= statsInterval) {
+            lastReport = now;
+            onStats({ ...stats });
+        }
+    };
+
+    const pump = async () => {
+        busy = true;
+        while (pending) {
+            const job = pending;
+            pending = null;
+            try {
+                await process(job.frame, job.seq, job.capturedAt);
+                stats.processed++;
+                stats.lastSeq = job.seq;
+            } catch (error) {
+                stats.failed++;
+                log.error("Frame failed", job.seq, error);
+            }
+            job.resolve({ seq: job.seq, dropped: false });
+            report();
+        }
+        busy = false;
+    };
+
+    // Resolves once the frame has been processed or dropped.
+    const submit = (frame, capturedAt = performance.now()) =>
+        new Promise((resolve) => {
+            stats.received++;
+            if (pending) {
+                stats.dropped++;
+                pending.resolve({ seq: pending.seq, dropped: true });
+            }
+            pending = { frame, seq: ++seq, capturedAt, resolve };
+            if (!busy) pump();
+        });
+
+    return { submit, stats: () => ({ ...stats }) };
+};
@@ -0,0 +1,15 @@
+import { IDENTITY_MAPPER } from "./feet.js";
+
+// Every named keypoint the model returned, for Unity scenes that need more
+// than the feet (avatars, silhouettes, body lean). MoveNet and PoseNet give
+// 17 keypoints, BlazePose 33. Positions are normalized to the frame, smoothed
+// by `smooth(keypoint, point)` (see skeletonSmoother) and then passed through
+// `mapper`, the same way footPayload does.
+export const skeletonPayload = (keypoints, width, height, mapper = IDENTITY_MAPPER, smooth = null) =>
+    keypoints
+        .filter((keypoint) => keypoint.name)
+        .map((keypoint) => {
+            const point = { x: keypoint.x / width, y: keypoint.y / height };
+            const { x, y } = smooth ? smooth(keypoint, point) : point;
+            return { name: keypoint.name, ...mapper.point(x, y), score: keypoint.score ?? 0 };
+        });
@@ -0,0 +1,33 @@
+import { createLogger } from "./log.js";
+
+const log = createLogger("unity");
+
+// Resolves once index.html has published window.unityInstance.
+export const unityReady = new Promise((resolve) => {
+    if (window.unityInstance) {
+        resolve(window.unityInstance);
+        return;
+    }
+    window.addEventListener("unityready", () => resolve(window.unityInstance), { once: true });
+});
+
+export const sendToUnity = (target, method, payload) => {
+    if (!window.unityInstance) {
+        log.warn("Unity instance not found");
+        return false;
+    }
+    const message = typeof payload === "string" ? payload : JSON.stringify(payload);
+    window.unityInstance.SendMessage(target, method, message);
+    return true;
+};
+
+// The page's warning/error banner above the Unity canvas (unityShowBanner in
+// index.html); pages without one just get the log line.
+export const showBanner = (message, type = "warning") => {
+    if (typeof window.unityShowBanner !== "function") {
+        log.warn("No banner to show", message);
+        return false;
+    }
+    window.unityShowBanner(message, type);
+    return true;
+};
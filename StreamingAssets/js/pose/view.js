@@ -0,0 +1,129 @@
+// Maps normalized camera-frame coordinates onto the Unity viewport: mirror
+// for the front camera, rotate when the frame and the screen disagree on
+// orientation, then scale and offset for how the frame is fitted to the
+// viewport. Points the fit crops away land outside [0, 1].
+//
+// The viewport is the size app.js reports to Unity's Canvas.setSize
+// (announced with a `unitycanvassize` event), falling back to the window.
+
+export const FIT_MODES = ["cover", "contain", "stretch"];
+
+export const DEFAULT_VIEW = {
+    mirror: "auto", // true, false, or "auto" to mirror front-camera frames
+    rotation: "auto", // 0, 90, 180 or 270 clockwise, or "auto" from the screen orientation
+    fit: "cover", // how the frame fills the viewport, like CSS object-fit
+    viewport: null, // { width, height } to override the reported size
+};
+
+const ROTATIONS = [0, 90, 180, 270];
+
+// x' = a * x + b * y + e, y' = c * x + d * y + f
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+// `outer` applied after `inner`.
+const compose = (outer, inner) => ({
+    a: outer.a * inner.a + outer.b * inner.c,
+    b: outer.a * inner.b + outer.b * inner.d,
+    c: outer.c * inner.a + outer.d * inner.c,
+    d: outer.c * inner.b + outer.d * inner.d,
+    e: outer.a * inner.e + outer.b * inner.f + outer.e,
+    f: outer.c * inner.e + outer.d * inner.f + outer.f,
+});
+
+const ROTATE = {
+    0: IDENTITY,
+    90: { a: 0, b: -1, c: 1, d: 0, e: 1, f: 0 },
+    180: { a: -1, b: 0, c: 0, d: -1, e: 1, f: 1 },
+    270: { a: 0, b: 1, c: -1, d: 0, e: 0, f: 1 },
+};
+
+const MIRROR = { a: -1, b: 0, c: 0, d: 1, e: 1, f: 0 };
+
+const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+
+export const createViewTransform = (options = {}, target = window) => {
+    const settings = { ...DEFAULT_VIEW, ...options };
+    let reported = null;
+    let frontCamera = false;
+    let transform = IDENTITY;
+
+    target.addEventListener("unitycanvassize", ({ detail }) => {
+        reported = detail;
+    });
+
+    const viewportSize = () =>
+        settings.viewport ?? reported ?? { width: target.innerWidth, height: target.innerHeight };
+
+    const isMirrored = () => (settings.mirror === "auto" ? frontCamera : Boolean(settings.mirror));
+
+    // A landscape frame on a portrait screen (or the reverse) is turned a
+    // quarter; which way depends on whether the device is upside down.
+    const rotationFor = (frameWidth, frameHeight, viewport) => {
+        if (settings.rotation !== "auto") return settings.rotation;
+        if ((frameWidth > frameHeight) === (viewport.width > viewport.height)) return 0;
+        const angle = normalizeAngle(target.screen?.orientation?.angle ?? target.orientation ?? 0);
+        return angle >= 180 ? 270 : 90;
+    };
+
+    const fitFor = (width, height, viewport) => {
+        if (settings.fit === "stretch") return IDENTITY;
+        const scale = (settings.fit === "cover" ? Math.max : Math.min)(
+            viewport.width / width,
+            viewport.height / height,
+        );
+        const sx = (width * scale) / viewport.width;
+        const sy = (height * scale) / viewport.height;
+        return { a: sx, b: 0, c: 0, d: sy, e: (1 - sx) / 2, f: (1 - sy) / 2 };
+    };
+
+    // Call once per frame, before mapping any of its points.
+    const update = (frameWidth, frameHeight) => {
+        const viewport = viewportSize();
+        const rotation = rotationFor(frameWidth, frameHeight, viewport);
+        const quarter = rotation === 90 || rotation === 270;
+        const [width, height] = quarter ? [frameHeight, frameWidth] : [frameWidth, frameHeight];
+        transform = compose(
+            fitFor(width, height, viewport),
+            compose(ROTATE[rotation], isMirrored() ? MIRROR : IDENTITY),
+        );
+    };
+
+    // `coordinateSpace` "pixels" scales the result to the viewport size.
+    const mapper = (coordinateSpace = "normalized") => {
+        const viewport = viewportSize();
+        const [w, h] = coordinateSpace === "pixels" ? [viewport.width, viewport.height] : [1, 1];
+        const { a, b, c, d, e, f } = transform;
+        return {
+            point: (x, y) => ({ x: (a * x + b * y + e) * w, y: (c * x + d * y + f) * h }),
+            vector: (x, y) => ({ x: (a * x + b * y) * w, y: (c * x + d * y) * h }),
+        };
+    };
+
+    // Throws on the first invalid setting without applying anything.
+    const validate = (changes = {}) => {
+        const { mirror, rotation, fit } = changes;
+        if (mirror !== undefined && mirror !== "auto" && typeof mirror !== "boolean") {
+            throw new Error(`Mirror must be true, false or "auto", got ${mirror}`);
+        }
+        if (rotation !== undefined && rotation !== "auto" && !ROTATIONS.includes(rotation)) {
+            throw new Error(`Rotation must be 0, 90, 180, 270 or "auto", got ${rotation}`);
+        }
+        if (fit !== undefined && !FIT_MODES.includes(fit)) {
+            throw new Error(`Unknown fit mode "${fit}"`);
+        }
+    };
+
+    // e.g. { mirror: true, rotation: 90, fit: "contain" }
+    const configure = (changes = {}) => {
+        validate(changes);
+        for (const key of Object.keys(DEFAULT_VIEW)) {
+            if (changes[key] !== undefined) settings[key] = changes[key];
+        }
+    };
+
+    const setFrontCamera = (front) => {
+        frontCamera = front;
+    };
+
+    return { update, mapper, validate, configure, setFrontCamera, settings: () => ({ ...settings }) };
+};
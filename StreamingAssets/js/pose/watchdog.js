@@ -0,0 +1,93 @@
+// Watches the detector's tf.memory() for leaks. The estimator reads memory
+// after a frame's tensors are released, so once a detector is warmed up the
+// counts stay flat from frame to frame; a leak shows as counts that never
+// drop and keep adding up. `bytes` is GPU memory on WebGL and tensor memory
+// on the CPU and WASM backends.
+
+export const DEFAULT_WATCHDOG = {
+    enabled: true,
+    samples: 60, // frames over which the counts must never drop
+    minTensors: 30, // growth across those frames that counts as a leak
+    minBytes: 16 * 1024 * 1024, // the same for bytes
+    recover: true, // recreate the detector when a leak is found
+    cooldown: 30000, // ms after an incident before the next can be reported
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Allowed values per setting, with how to describe them in an error.
+const CHECKS = {
+    enabled: [(value) => typeof value === "boolean", "true or false"],
+    samples: [(value) => Number.isInteger(value) && value > 1, "a whole number above 1"],
+    minTensors: [(value) => isNumber(value) && value > 0, "a positive number"],
+    minBytes: [(value) => isNumber(value) && value > 0, "a positive number"],
+    recover: [(value) => typeof value === "boolean", "true or false"],
+    cooldown: [(value) => isNumber(value) && value >= 0, "0 or more ms"],
+};
+
+// Throws on the first invalid setting without applying anything.
+export const validateWatchdog = (changes = {}) => {
+    for (const [key, [valid, expected]] of Object.entries(CHECKS)) {
+        if (changes[key] !== undefined && !valid(changes[key])) {
+            throw new Error(`Watchdog ${key} must be ${expected}, got ${JSON.stringify(changes[key])}`);
+        }
+    }
+};
+
+// Growth from the first to the last sample, or 0 if the value ever dropped.
+const monotonicGrowth = (history, key) => {
+    for (let i = 1; i < history.length; i++) {
+        if (history[i][key] < history[i - 1][key]) return 0;
+    }
+    return history[history.length - 1][key] - history[0][key];
+};
+
+export const createWatchdog = (options = {}) => {
+    const settings = { ...DEFAULT_WATCHDOG, ...options };
+    let history = [];
+    let quietUntil = 0;
+    let incidents = 0;
+
+    // Starts over, e.g. for a new detector whose baseline differs.
+    const reset = () => {
+        history = [];
+    };
+
+    // Feeds one frame's memory ({ numTensors, numBytes, numBytesInGPU }).
+    // Returns an incident when the counts grew across the whole window.
+    const sample = (memory, now = performance.now()) => {
+        if (!settings.enabled || !memory) return null;
+        history.push({ tensors: memory.numTensors, bytes: memory.numBytesInGPU ?? memory.numBytes });
+        if (history.length > settings.samples) history.shift();
+        if (history.length < settings.samples || now < quietUntil) return null;
+
+        const tensorGrowth = monotonicGrowth(history, "tensors");
+        const byteGrowth = monotonicGrowth(history, "bytes");
+        if (tensorGrowth < settings.minTensors && byteGrowth < settings.minBytes) return null;
+
+        const { tensors, bytes } = history[history.length - 1];
+        incidents++;
+        quietUntil = now + settings.cooldown;
+        reset();
+        return {
+            tensors,
+            bytes,
+            tensorGrowth,
+            byteGrowth,
+            frames: settings.samples,
+            recover: settings.recover,
+            incident: incidents,
+        };
+    };
+
+    // e.g. { recover: false } or { minTensors: 10 }
+    const configure = (changes = {}) => {
+        validateWatchdog(changes);
+        for (const key of Object.keys(DEFAULT_WATCHDOG)) {
+            if (changes[key] !== undefined) settings[key] = changes[key];
+        }
+        reset();
+    };
+
+    return { sample, reset, configure, incidents: () => incidents, settings: () => ({ ...settings }) };
+};
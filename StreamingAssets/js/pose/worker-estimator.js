@@ -0,0 +1,95 @@
+import { getLogSettings, receiveLogEntry } from "./log.js";
+
+// Main-thread proxy for pose-worker.js with the same { init, estimate, configure, terminate }
+// interface as createEstimator(). Frame buffers are transferred, not copied.
+
+// WebGL inside a worker needs an OffscreenCanvas that can create a WebGL
+// context. Some browsers (Safari 16.4) only have a 2D one, and a worker left on
+// WASM or CPU is far slower than WebGL on the main thread. Probed once.
+let offscreenWebGl = null;
+const hasOffscreenWebGl = () => {
+    if (offscreenWebGl === null) {
+        try {
+            const canvas = new OffscreenCanvas(1, 1);
+            const gl = canvas.getContext("webgl2") ?? canvas.getContext("webgl");
+            gl?.getExtension("WEBGL_lose_context")?.loseContext();
+            offscreenWebGl = Boolean(gl);
+        } catch {
+            offscreenWebGl = false;
+        }
+    }
+    return offscreenWebGl;
+};
+
+export const canUseWorker = () =>
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap !== "undefined" &&
+    hasOffscreenWebGl();
+
+export const createWorkerEstimator = () => {
+    const worker = new Worker(new URL("./pose-worker.js", import.meta.url), { type: "module" });
+    const requests = new Map();
+    let nextId = 0;
+    let ready = null;
+
+    worker.onmessage = ({ data }) => {
+        if (data.type === "ready") {
+            ready.resolve(data);
+        } else if (data.type === "failed") {
+            ready.reject(new Error(data.error));
+        } else if (data.type === "log") {
+            receiveLogEntry(data.entry);
+        } else if (data.type === "result") {
+            const request = requests.get(data.id);
+            requests.delete(data.id);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                const { poses, width, height, region, memory } = data;
+                request.resolve({ poses, width, height, region, memory });
+            }
+        }
+    };
+
+    const rejectRequests = (message) => {
+        for (const request of requests.values()) {
+            request.reject(new Error(message));
+        }
+        requests.clear();
+    };
+
+    // A worker that fails to load (e.g. no module worker support) rejects init.
+    worker.onerror = (event) => {
+        event.preventDefault();
+        ready?.reject(new Error(event.message || "Pose worker failed to load."));
+        rejectRequests("Pose worker crashed.");
+    };
+
+    const init = (modelName, modelOptions) =>
+        new Promise((resolve, reject) => {
+            ready = { resolve, reject };
+            worker.postMessage({ type: "init", model: modelName, modelOptions, logging: getLogSettings() });
+        });
+
+    const estimate = (frame) =>
+        new Promise((resolve, reject) => {
+            const id = nextId++;
+            requests.set(id, { resolve, reject });
+            const transfer = frame.bitmap ? [frame.bitmap] : [frame.pixels];
+            worker.postMessage({ type: "estimate", id, frame }, transfer);
+        });
+
+    const configure = (options) => worker.postMessage({ type: "configure", options });
+
+    // The worker has its own copy of the log settings.
+    const setLogging = (logging) => worker.postMessage({ type: "logging", logging });
+
+    // Frames still in flight would otherwise never settle.
+    const terminate = () => {
+        worker.terminate();
+        rejectRequests("Pose worker terminated.");
+    };
+
+    return { init, estimate, configure, terminate, setLogging };
+};